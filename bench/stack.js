@@ -0,0 +1,39 @@
+// Cost of constructing errors under each `stack` mode, with and without
+// reading `err.stack`. Run with `node bench/stack.js [iterations]`.
+import { createErrorClass } from "../index.js";
+
+const iterations = Number(process.argv[2] ?? 100_000);
+
+// Errors are usually constructed a few frames deep
+function nested(depth, fn) {
+  return depth === 0 ? fn() : nested(depth - 1, fn);
+}
+
+function measure(fn) {
+  // Warm up, so that every mode is measured with optimized code
+  for (let i = 0; i < 1000; i++) fn();
+  const start = performance.now();
+  for (let i = 0; i < iterations; i++) fn();
+  return performance.now() - start;
+}
+
+const rows = [];
+for (const stack of ["eager", "lazy", "none"]) {
+  const Invalid = createErrorClass({
+    code: "INVALID",
+    message: "{field} is invalid",
+    status: 400,
+    stack,
+  });
+  const construct = () => nested(10, () => new Invalid({ field: "email" }));
+  const constructMs = measure(construct);
+  const readMs = measure(() => construct().stack);
+  rows.push({
+    stack,
+    "construct (ns/op)": Math.round((constructMs * 1e6) / iterations),
+    "construct + read stack (ns/op)": Math.round((readMs * 1e6) / iterations),
+  });
+}
+
+console.log(`${iterations} iterations, Node ${process.version}`);
+console.table(rows);
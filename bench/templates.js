@@ -0,0 +1,54 @@
+// Cost of formatting the message when constructing errors, for default
+// templates of several shapes and for custom messages. Stacks are disabled to
+// leave only the message formatting. Run with
+// `node bench/templates.js [iterations]`.
+import { createErrorClass } from "../index.js";
+
+const iterations = Number(process.argv[2] ?? 100_000);
+
+function measure(fn) {
+  // Warm up, so that every case is measured with optimized code
+  for (let i = 0; i < 1000; i++) fn();
+  const start = performance.now();
+  for (let i = 0; i < iterations; i++) fn();
+  return performance.now() - start;
+}
+
+function define(message) {
+  return createErrorClass({
+    code: "BENCH",
+    message,
+    status: 400,
+    stack: "none",
+  });
+}
+
+const Static = define("Invalid request");
+const Simple = define("{field} is invalid: {reason}");
+const Nested = define("User {user.id} cannot access {resource.type}");
+const Plural = define(
+  "{count, plural, =0 {No items} one {# item} other {# items}} failed",
+);
+const Custom = define("{field} is invalid");
+let distinct = 0;
+
+const cases = {
+  "static template": () => new Static(),
+  "simple placeholders": () =>
+    new Simple({ field: "email", reason: "too short" }),
+  "nested paths": () =>
+    new Nested({ user: { id: 1 }, resource: { type: "file" } }),
+  plural: () => new Plural({ count: 3 }),
+  "custom message": () =>
+    new Custom("Field {field} failed validation", { field: "email" }),
+  "distinct custom messages": () =>
+    new Custom(`Field {field} failed check ${distinct++}`, { field: "email" }),
+};
+
+const rows = Object.entries(cases).map(([name, fn]) => ({
+  case: name,
+  "ns/op": Math.round((measure(fn) * 1e6) / iterations),
+}));
+
+console.log(`${iterations} iterations, Node ${process.version}`);
+console.table(rows);
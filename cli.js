@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from "node:fs/promises";
+import { extname, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import { createErrorClass, describeErrorClass } from "./index.js";
+
+const USAGE = `Usage: custom-error-creator <module> [options]
+
+Writes a catalog of the error classes and definitions that <module> exports.
+
+Options:
+  -f, --format <format>  markdown, json or html. Defaults to the extension of
+                         --out, or markdown
+  -o, --out <file>       Write the catalog to <file> instead of stdout
+      --check            Exit with an error if <file> is not up to date
+  -h, --help             Show this help`;
+
+const FORMATS = new Map([
+  [".md", "markdown"],
+  [".json", "json"],
+  [".html", "html"],
+]);
+
+class UsageError extends Error {}
+
+function isDefinition(value) {
+  return typeof value?.code === "string" && typeof value.message === "string";
+}
+
+// Exports can be classes, definitions, or arrays or objects of either, such
+// as the registries returned by createErrorClassesByCode
+function collect(value, classes, nested = false) {
+  if (typeof value === "function") {
+    // Categories and other functions have no code
+    if (typeof value.code === "string") classes.add(value);
+  } else if (isDefinition(value)) {
+    classes.add(createErrorClass(value));
+  } else if (!nested && typeof value === "object" && value !== null) {
+    for (const item of Object.values(value)) collect(item, classes, true);
+  }
+}
+
+async function loadCatalog(modulePath) {
+  const exports = await import(pathToFileURL(resolve(modulePath)).href);
+  const classes = new Set();
+  for (const value of Object.values(exports)) collect(value, classes);
+  if (classes.size === 0) {
+    throw new Error(`No error classes or definitions found in ${modulePath}`);
+  }
+  // A module can export both definitions and the classes created from them
+  const entries = new Map();
+  for (const errorClass of classes) {
+    const entry = describeErrorClass(errorClass);
+    if (!entries.has(entry.code)) entries.set(entry.code, entry);
+  }
+  return [...entries.values()].sort((a, b) => (a.code < b.code ? -1 : 1));
+}
+
+function formatMetadata(metadata) {
+  return Object.entries(metadata)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join(", ");
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+function toMarkdown(entries) {
+  const rows = entries.map((entry) =>
+    [
+      `\`${entry.code}\``,
+      entry.name,
+      entry.status,
+      `\`${entry.template}\``,
+      entry.params.map((param) => `\`${param}\``).join(", "),
+      formatMetadata(entry.metadata),
+    ]
+      .map((cell) => escapeMarkdown(String(cell)))
+      .join(" | "),
+  );
+  return [
+    "| Code | Name | Status | Message | Params | Metadata |",
+    "| --- | --- | --- | --- | --- | --- |",
+    ...rows.map((row) => `| ${row} |`),
+    "",
+  ].join("\n");
+}
+
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toHTML(entries) {
+  const rows = entries.map((entry) => {
+    const cells = [
+      `<code>${escapeHTML(entry.code)}</code>`,
+      escapeHTML(entry.name),
+      entry.status,
+      `<code>${escapeHTML(entry.template)}</code>`,
+      entry.params
+        .map((param) => `<code>${escapeHTML(param)}</code>`)
+        .join(", "),
+      escapeHTML(formatMetadata(entry.metadata)),
+    ];
+    return `      <tr>${cells.map((cell) => `<td>${cell}</td>`).join("")}</tr>`;
+  });
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Errors</title>
+</head>
+<body>
+  <table>
+    <thead>
+      <tr><th>Code</th><th>Name</th><th>Status</th><th>Message</th><th>Params</th><th>Metadata</th></tr>
+    </thead>
+    <tbody>
+${rows.join("\n")}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+function formatCatalog(entries, format) {
+  switch (format) {
+    case "markdown":
+      return toMarkdown(entries);
+    case "json":
+      return `${JSON.stringify(entries, null, 2)}\n`;
+    case "html":
+      return toHTML(entries);
+  }
+  throw new UsageError(
+    `Unknown format "${format}". Use markdown, json or html`,
+  );
+}
+
+async function main(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      format: { type: "string", short: "f" },
+      out: { type: "string", short: "o" },
+      check: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 1) throw new UsageError(USAGE);
+  if (values.check && !values.out) {
+    throw new UsageError("--check needs the catalog file given with --out");
+  }
+
+  const format =
+    values.format ??
+    (values.out && FORMATS.get(extname(values.out))) ??
+    "markdown";
+  const catalog = formatCatalog(await loadCatalog(positionals[0]), format);
+
+  if (values.check) {
+    const committed = await readFile(values.out, "utf8").catch(() => null);
+    if (committed !== catalog) {
+      throw new Error(
+        `${values.out} is out of date. Run custom-error-creator without --check to update it`,
+      );
+    }
+  } else if (values.out) {
+    await writeFile(values.out, catalog);
+  } else {
+    process.stdout.write(catalog);
+  }
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  // Invalid options are reported by parseArgs with these codes
+  const usage =
+    err instanceof UsageError || /^ERR_PARSE_ARGS_/.test(err?.code ?? "");
+  console.error(usage ? err.message : `Error: ${err.message}`);
+  process.exitCode = usage ? 2 : 1;
+});
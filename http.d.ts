@@ -0,0 +1,94 @@
+import type {
+  ErrorConstructor,
+  FallbackClass,
+  ProblemDetails,
+} from "./index.js";
+
+export const InternalServerError: ErrorConstructor<{
+  code: "INTERNAL_SERVER_ERROR";
+  message: "Internal server error";
+  status: 500;
+}>;
+
+export type ErrorResponseOptions = {
+  /** `"json"` (default) or `"problem"` for RFC 9457 Problem Details */
+  format?: "json" | "problem";
+  /**
+   * Send the message and params of 5xx errors. Defaults to `true` unless
+   * `NODE_ENV` is `"production"`. 4xx errors are always sent in full.
+   */
+  expose?: boolean;
+  /** Class without template params that unknown errors are wrapped in */
+  internalError?: FallbackClass<Error & { code: string; status: number }>;
+  /** Prefix of the Problem Details `type` URI */
+  baseURI?: string;
+};
+
+export type ErrorResponseBody = {
+  name: string;
+  code: string;
+  status: number;
+  message: string;
+  params?: Readonly<Record<string, unknown>>;
+};
+
+export type ErrorResponse =
+  | {
+      status: number;
+      contentType: "application/json";
+      body: ErrorResponseBody;
+    }
+  | {
+      status: number;
+      contentType: "application/problem+json";
+      body: ProblemDetails;
+    };
+
+export function errorResponse(
+  err: unknown,
+  options?: ErrorResponseOptions,
+): ErrorResponse;
+
+/** The parts of a `node:http` `ServerResponse` that `sendError` uses */
+export type ResponseLike = {
+  readonly headersSent: boolean;
+  statusCode: number;
+  setHeader(name: string, value: string): unknown;
+  end(body: string): unknown;
+  destroy(): unknown;
+};
+
+export function sendError(
+  res: ResponseLike,
+  err: unknown,
+  options?: ErrorResponseOptions,
+): void;
+
+export function expressErrorHandler(
+  options?: ErrorResponseOptions,
+): (
+  err: unknown,
+  req: unknown,
+  res: ResponseLike,
+  next: (err?: unknown) => void,
+) => void;
+
+export function koaErrorHandler(options?: ErrorResponseOptions): (
+  ctx: {
+    status: number;
+    type: string;
+    body: unknown;
+    app: { emit(event: "error", err: unknown, ctx: unknown): unknown };
+  },
+  next: () => Promise<unknown>,
+) => Promise<void>;
+
+type FastifyReplyLike = {
+  code(status: number): FastifyReplyLike;
+  type(contentType: string): FastifyReplyLike;
+  send(payload: string): unknown;
+};
+
+export function fastifyErrorHandler(
+  options?: ErrorResponseOptions,
+): (err: unknown, request: unknown, reply: FastifyReplyLike) => void;
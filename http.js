@@ -0,0 +1,102 @@
+import { STATUS_CODES } from "node:http";
+import {
+  createErrorClass,
+  isCustomError,
+  serializeError,
+  toProblemDetails,
+} from "./index.js";
+
+export const InternalServerError = createErrorClass({
+  code: "INTERNAL_SERVER_ERROR",
+  message: "Internal server error",
+  status: 500,
+});
+
+function isHttpStatus(status) {
+  return Number.isInteger(status) && status >= 100 && status <= 599;
+}
+
+// Custom errors are sent as they are; anything else is wrapped in the
+// internal error class so that its details never reach the client.
+function toHttpError(err, internalError) {
+  if (isCustomError(err) && isHttpStatus(err.status)) return err;
+  return new internalError(undefined, { cause: err });
+}
+
+export function errorResponse(err, options = {}) {
+  const {
+    format = "json",
+    expose = process.env.NODE_ENV !== "production",
+    internalError = InternalServerError,
+    baseURI,
+  } = options;
+  const error = toHttpError(err, internalError);
+  const { status } = error;
+  // Messages and params of server errors can contain internal details
+  const hidden = status >= 500 && !expose;
+
+  if (format === "problem") {
+    const problem = toProblemDetails(error, { baseURI });
+    const body = hidden
+      ? {
+          type: problem.type,
+          title: problem.title,
+          status: problem.status,
+          code: problem.code,
+        }
+      : problem;
+    return { status, contentType: "application/problem+json", body };
+  }
+
+  const body = { name: error.name, code: error.code, status };
+  if (hidden) {
+    body.message = STATUS_CODES[status] ?? "Internal Server Error";
+  } else {
+    body.message = error.message;
+    // Serialized params are safe to pass to JSON.stringify
+    const { params } = serializeError(error);
+    if (params !== undefined) body.params = params;
+  }
+  return { status, contentType: "application/json", body };
+}
+
+export function sendError(res, err, options) {
+  if (res.headersSent) {
+    // Too late to send an error response, so only end the connection
+    res.destroy();
+    return;
+  }
+  const { status, contentType, body } = errorResponse(err, options);
+  res.statusCode = status;
+  res.setHeader("content-type", `${contentType}; charset=utf-8`);
+  res.end(JSON.stringify(body));
+}
+
+export function expressErrorHandler(options) {
+  return (err, req, res, next) => {
+    // Let Express close the connection if the response already started
+    if (res.headersSent) return next(err);
+    sendError(res, err, options);
+  };
+}
+
+export function koaErrorHandler(options) {
+  return async (ctx, next) => {
+    try {
+      await next();
+    } catch (err) {
+      const { status, contentType, body } = errorResponse(err, options);
+      ctx.status = status;
+      ctx.type = contentType;
+      ctx.body = JSON.stringify(body);
+      ctx.app.emit("error", err, ctx);
+    }
+  };
+}
+
+export function fastifyErrorHandler(options) {
+  return (err, request, reply) => {
+    const { status, contentType, body } = errorResponse(err, options);
+    reply.code(status).type(contentType).send(JSON.stringify(body));
+  };
+}
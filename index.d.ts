@@ -1,10 +1,152 @@
-type ExtractParams<T extends string> =
-  T extends `${string}{${infer Param}}${infer Rest}`
-    ? Param | ExtractParams<Rest>
+type Simplify<T> = { [K in keyof T]: T[K] } & {};
+
+type Trim<S extends string> = S extends ` ${infer R}`
+  ? Trim<R>
+  : S extends `${infer R} `
+    ? Trim<R>
+    : S;
+
+// prettier-ignore
+type Digit = "0" | "1" | "2" | "3" | "4" | "5" | "6" | "7" | "8" | "9";
+
+// prettier-ignore
+type Letter =
+  | "A" | "B" | "C" | "D" | "E" | "F" | "G" | "H" | "I" | "J" | "K" | "L" | "M"
+  | "N" | "O" | "P" | "Q" | "R" | "S" | "T" | "U" | "V" | "W" | "X" | "Y" | "Z";
+
+type WordChar = "_" | Digit | Letter | Lowercase<Letter>;
+
+type IsScreamingSnakeTail<S extends string> = S extends ""
+  ? true
+  : S extends `_${infer Char}${infer Rest}` | `${infer Char}${infer Rest}`
+    ? Char extends Letter | Digit
+      ? IsScreamingSnakeTail<Rest>
+      : false
+    : false;
+
+type IsScreamingSnake<S extends string> = string extends S
+  ? true
+  : S extends `${Letter}${infer Rest}`
+    ? IsScreamingSnakeTail<Rest>
+    : false;
+
+type IsWord<S extends string> = S extends ""
+  ? false
+  : S extends `${WordChar}${infer Rest}`
+    ? Rest extends ""
+      ? true
+      : IsWord<Rest>
+    : false;
+
+/** Value types accepted by each `{name:format}` specifier */
+type FormatTypes = {
+  number: number | bigint;
+  date: Date | number;
+  time: Date | number;
+  list: ReadonlyArray<unknown> | ReadonlySet<unknown>;
+};
+
+/** Splits `S` at its first unbalanced `}`, into `[inside, rest]` */
+type SplitAtClose<S extends string> = S extends `${infer Head}}${infer Rest}`
+  ? Head extends `${string}{${string}`
+    ? SplitNested<S>
+    : [Head, Rest]
+  : never;
+
+type SplitNested<
+  S extends string,
+  Inside extends string = "",
+  Depth extends unknown[] = [],
+> = S extends `{{${infer Rest}`
+  ? SplitNested<Rest, `${Inside}{{`, Depth>
+  : S extends `${infer C}${infer Rest}`
+    ? C extends "{"
+      ? SplitNested<Rest, `${Inside}{`, [...Depth, unknown]>
+      : C extends "}"
+        ? Depth extends [unknown, ...infer Outer]
+          ? SplitNested<Rest, `${Inside}}`, Outer>
+          : [Inside, Rest]
+        : SplitNested<Rest, `${Inside}${C}`, Depth>
     : never;
 
-type PascalFromScreamingSnake<T extends string> =
-  T extends `${infer Head}_${infer Rest}`
+type IsPath<Key extends string> = Key extends `${infer Head}.${infer Rest}`
+  ? IsWord<Head> extends true
+    ? IsPath<Rest>
+    : false
+  : IsWord<Key>;
+
+/** A single param keyed by its full path, e.g. `{ "user.id": unknown }` */
+type Param<Key extends string, Value> =
+  IsPath<Key> extends true ? { [K in Key]: Value } : {};
+
+type PlaceholderParams<Inside extends string> =
+  Inside extends `${infer Key},${infer Kind},${infer Branches}`
+    ? Trim<Kind> extends "plural"
+      ? Param<Trim<Key>, number> & BranchParams<Branches>
+      : Trim<Kind> extends "select"
+        ? Param<Trim<Key>, string> & BranchParams<Branches>
+        : {}
+    : Inside extends `${infer Key}:${infer Format}`
+      ? Format extends keyof FormatTypes
+        ? Param<Key, FormatTypes[Format]>
+        : {}
+      : Param<Inside, unknown>;
+
+type BranchParams<Branches extends string> =
+  Branches extends `${string}{${infer After}`
+    ? SplitAtClose<After> extends [
+        infer Inside extends string,
+        infer Rest extends string,
+      ]
+      ? TemplateParams<Inside> & BranchParams<Rest>
+      : {}
+    : {};
+
+type TemplateParams<T extends string> = T extends `${string}{${infer After}`
+  ? After extends `{${infer Rest}`
+    ? TemplateParams<Rest> // "{{" is an escaped brace
+    : SplitAtClose<After> extends [
+          infer Inside extends string,
+          infer Rest extends string,
+        ]
+      ? PlaceholderParams<Inside> & TemplateParams<Rest>
+      : {}
+  : {};
+
+type PathObject<
+  Path extends string,
+  Value,
+> = Path extends `${infer Head}.${infer Rest}`
+  ? { [K in Head]: PathObject<Rest, Value> }
+  : { [K in Path]: Value };
+
+type UnionToIntersection<U> = (
+  U extends unknown ? (arg: U) => void : never
+) extends (arg: infer I) => void
+  ? I
+  : never;
+
+/** Turns `{ "user.id": V }` into `{ user: { id: V } }` */
+type Unflatten<Flat> = [keyof Flat] extends [never]
+  ? {}
+  : UnionToIntersection<
+      {
+        [Path in keyof Flat & string]: PathObject<Path, Flat[Path]>;
+      }[keyof Flat & string]
+    >;
+
+/** Object type of the params used in a message template */
+type ExtractParams<T extends string> = Simplify<Unflatten<TemplateParams<T>>>;
+
+/** Top-level param names of a template */
+type ParamNames<T extends string> = keyof ExtractParams<T>;
+
+/** Full placeholder paths of a template, e.g. `"user.id"` */
+type ParamPaths<T extends string> = keyof TemplateParams<T>;
+
+type PascalFromScreamingSnake<T extends string> = string extends T
+  ? string
+  : T extends `${infer Head}_${infer Rest}`
     ? `${Capitalize<Lowercase<Head>>}${PascalFromScreamingSnake<Rest>}`
     : Capitalize<Lowercase<T>>;
 
@@ -12,84 +154,442 @@ type ForbiddenParamKeys = "cause";
 
 type ValidateMessage<T extends string> = string extends T
   ? T
-  : ExtractParams<T> & ForbiddenParamKeys extends never
+  : ParamNames<T> & ForbiddenParamKeys extends never
     ? T
     : `Error: message template cannot use reserved parameter name 'cause'`;
 
 type ParamsFor<T extends string> =
-  ExtractParams<T> extends never
+  ParamNames<T> extends never
     ? never
-    : ExtractParams<T> & ForbiddenParamKeys extends never
-      ? Record<ExtractParams<T>, unknown>
+    : ParamNames<T> & ForbiddenParamKeys extends never
+      ? ExtractParams<T>
       : never; // <- causes error when forbidden keys are used
 
-type HasParams<T extends string> =
-  ExtractParams<T> extends never ? false : true;
+type HasParams<T extends string> = ParamNames<T> extends never ? false : true;
 
 export type ErrorDefinition<TMessage extends string = string> = {
   code: string;
   message: TMessage;
   status: number;
+  /** Category to extend instead of `Error`, see `createErrorCategory` */
+  parent?: ErrorCategory;
+  /** gRPC status code (0–16), derived from `status` when not given */
+  grpcCode?: number;
+  /** JSON-RPC error code, derived from `status` when not given */
+  jsonRpcCode?: number;
+  /** Set to `false` to allow any `status`, not only HTTP statuses 100–599 */
+  http?: boolean;
+  /** Overrides the global `configure({ inspect })` options for this class */
+  inspect?: InspectOptions;
+  /** Param paths, e.g. `"token"` or `"user.password"`, to show as `[REDACTED]` */
+  sensitive?: ReadonlyArray<string>;
+  /** Overrides the global `configure({ stack })` mode for this class */
+  stack?: StackMode;
+};
+
+/**
+ * How errors capture their stack: `"eager"` (default) when they are
+ * constructed, `"lazy"` with the `stack` string built when it is first read,
+ * which is what V8 does for `"eager"` too, or `"none"` for a `stack` of only
+ * `Name: message`
+ */
+export type StackMode = "eager" | "lazy" | "none";
+
+/** Formats instances of `type` when they are interpolated into a message */
+export type ValueFormatter<T = any> = {
+  type: abstract new (...args: any[]) => T;
+  format: (value: T) => string;
 };
 
+/** How non-string params are rendered into messages */
+export type InspectOptions = {
+  /** Items shown of arrays, objects, Maps and Sets (default 50) */
+  maxItems?: number;
+  /** Characters shown of nested strings (default 200) */
+  maxString?: number;
+  /** Levels of nesting shown (default 4) */
+  depth?: number;
+  /** Checked in order, before the built-in formatting */
+  formatters?: ReadonlyArray<ValueFormatter>;
+};
+
+export type RedactOptions = {
+  /** Param keys to redact at any depth, matched exactly or by a RegExp */
+  keys?: ReadonlyArray<string | RegExp>;
+};
+
+export type Configuration = {
+  inspect?: InspectOptions;
+  redact?: RedactOptions;
+  stack?: StackMode;
+};
+
+export function configure(options: Configuration): void;
+
 type ErrorOpts = { cause?: unknown };
 
-type ErrorInstance<Def extends ErrorDefinition> = Error & {
+/** Members of generated classes and instances that metadata cannot shadow */
+type ReservedMetadataKeys =
+  | "stack"
+  | "cause"
+  | "params"
+  | "errors"
+  | "template"
+  | "metadata"
+  | "toJSON"
+  | "localize"
+  | "revealParams"
+  | "wrap"
+  | keyof Function
+  | keyof Object;
+
+/** Extra keys of a definition, copied onto the class and its instances */
+type MetadataOf<Def extends ErrorDefinition> = Simplify<
+  Omit<Def, keyof ErrorDefinition>
+>;
+
+/** HTTP statuses with a specific gRPC status code */
+type GrpcCodes = {
+  400: 3;
+  401: 16;
+  403: 7;
+  404: 5;
+  408: 4;
+  409: 10;
+  412: 9;
+  416: 11;
+  422: 3;
+  429: 8;
+  499: 1;
+  500: 13;
+  501: 12;
+  502: 14;
+  503: 14;
+  504: 4;
+};
+
+type GrpcCodeFromStatus<Status extends number> = number extends Status
+  ? number
+  : Status extends keyof GrpcCodes
+    ? GrpcCodes[Status]
+    : `${Status}` extends `4${Digit}${Digit}`
+      ? 9
+      : `${Status}` extends `5${Digit}${Digit}`
+        ? 13
+        : 2;
+
+type JsonRpcCodeFromStatus<Status extends number> = number extends Status
+  ? number
+  : Status extends 400 | 422
+    ? -32602
+    : Status extends 500
+      ? -32603
+      : -32000;
+
+type GrpcCodeOf<Def extends ErrorDefinition> = Def extends {
+  grpcCode: infer Code extends number;
+}
+  ? Code
+  : GrpcCodeFromStatus<Def["status"]>;
+
+type JsonRpcCodeOf<Def extends ErrorDefinition> = Def extends {
+  jsonRpcCode: infer Code extends number;
+}
+  ? Code
+  : JsonRpcCodeFromStatus<Def["status"]>;
+
+export type SerializeOptions = {
+  /** Include `stack` for this error and every error in its cause chain */
+  stack?: boolean;
+};
+
+export type SerializedError = {
+  name: string;
+  code?: string;
+  status?: number;
+  message: string;
+  params?: Record<string, unknown>;
+  cause?: unknown;
+  errors?: unknown[];
+  stack?: string;
+};
+
+type SerializedCustomError<Def extends ErrorDefinition> = SerializedError & {
+  name: PascalFromScreamingSnake<Def["code"]>;
   code: Def["code"];
   status: Def["status"];
-  name: PascalFromScreamingSnake<Def["code"]>;
+  params: Record<string, unknown>;
 };
 
+type AnyParams = Readonly<Record<string, unknown>>;
+
+/** Params of an instance created with the definition's default message */
+type DefaultParams<Def extends ErrorDefinition> =
+  HasParams<Def["message"]> extends true
+    ? Readonly<ParamsFor<Def["message"]>>
+    : AnyParams;
+
+type ParentInstance<Def extends ErrorDefinition> = Def extends {
+  parent: abstract new (...args: any[]) => infer Instance;
+}
+  ? Instance
+  : Error;
+
+type SensitiveKeys<Def extends ErrorDefinition> = Def extends {
+  sensitive: ReadonlyArray<infer Key>;
+}
+  ? Key
+  : never;
+
+/** Params with the definition's sensitive top-level params redacted */
+type RedactedParams<Params, Keys> = [Keys] extends [never]
+  ? Params
+  : Simplify<{
+      readonly [K in keyof Params]: K extends Keys ? "[REDACTED]" : Params[K];
+    }>;
+
+type ErrorInstance<
+  Def extends ErrorDefinition,
+  Params extends AnyParams = DefaultParams<Def>,
+> = ParentInstance<Def> &
+  MetadataOf<Def> & {
+    code: Def["code"];
+    status: Def["status"];
+    grpcCode: GrpcCodeOf<Def>;
+    jsonRpcCode: JsonRpcCodeOf<Def>;
+    name: PascalFromScreamingSnake<Def["code"]>;
+    /** Frozen copy of the params used in the message, sensitive ones redacted */
+    params: RedactedParams<Params, SensitiveKeys<Def>>;
+    /** Frozen copy of the params as passed, without redaction */
+    revealParams(): Params;
+    toJSON(options?: SerializeOptions): SerializedCustomError<Def>;
+    /** Message in the given locale(s), from catalogs added with `registerMessages` */
+    localize(locale: Locales): string;
+  };
+
 export type ErrorConstructor<Def extends ErrorDefinition> = (HasParams<
   Def["message"]
 > extends true
   ? {
-      // Default message — params required
-      new (params: ParamsFor<Def["message"]>): ErrorInstance<Def>;
-      new (
-        params: ParamsFor<Def["message"]>,
-        opts: ErrorOpts,
-      ): ErrorInstance<Def>;
       // Custom message — params optional
       new (
         message: string,
         params?: Record<string, unknown>,
-      ): ErrorInstance<Def>;
+      ): ErrorInstance<Def, AnyParams>;
       new (
         message: string,
         params: Record<string, unknown>,
         opts: ErrorOpts,
+      ): ErrorInstance<Def, AnyParams>;
+      new (
+        message: string | undefined,
+        opts: ErrorOpts,
+      ): ErrorInstance<Def, AnyParams>;
+      // Default message — params required. Declared last so that
+      // `InstanceType` picks up the typed params.
+      new (params: ParamsFor<Def["message"]>): ErrorInstance<Def>;
+      new (
+        params: ParamsFor<Def["message"]>,
+        opts: ErrorOpts,
       ): ErrorInstance<Def>;
-      new (message: string | undefined, opts: ErrorOpts): ErrorInstance<Def>;
     }
   : {
       new (): ErrorInstance<Def>;
       new (opts: ErrorOpts): ErrorInstance<Def>;
       new (message: string): ErrorInstance<Def>;
       new (message: string | undefined, opts: ErrorOpts): ErrorInstance<Def>;
-    }) & {
+    }) &
+  ClassStatics<Def> & {
+    /**
+     * Returns `fn` with thrown errors and rejections converted to this class,
+     * with the original error as `cause`. Without `match`, converts every
+     * error not created by this module.
+     */
+    wrap<
+      F extends (...args: any[]) => unknown,
+      const M extends ErrorMatcher = (error: unknown) => boolean,
+    >(
+      fn: F,
+      ...options: HasParams<Def["message"]> extends true
+        ? [options: WrapOptions<M, ParamsFor<Def["message"]>>]
+        : [options?: WrapOptions<M, never>]
+    ): F;
+  };
+
+type ClassStatics<Def extends ErrorDefinition> = {
   code: Def["code"];
+  status: Def["status"];
+  grpcCode: GrpcCodeOf<Def>;
+  jsonRpcCode: JsonRpcCodeOf<Def>;
+  template: Def["message"];
   name: PascalFromScreamingSnake<Def["code"]>;
-};
+  /** Extra keys of the definition, which are also copied onto the class */
+  metadata: MetadataOf<Def>;
+} & MetadataOf<Def>;
+
+type AggregateInstance<
+  Def extends ErrorDefinition,
+  Member,
+  Params extends AnyParams = DefaultParams<Def>,
+> = ErrorInstance<Def, Params> & { errors: Member[] };
+
+/** Like `ErrorConstructor`, with the errors to aggregate as first argument */
+export type AggregateErrorConstructor<
+  Def extends ErrorDefinition,
+  Member = Error,
+> = (HasParams<Def["message"]> extends true
+  ? {
+      new (
+        errors: Iterable<Member>,
+        message: string,
+        params?: Record<string, unknown>,
+      ): AggregateInstance<Def, Member, AnyParams>;
+      new (
+        errors: Iterable<Member>,
+        message: string,
+        params: Record<string, unknown>,
+        opts: ErrorOpts,
+      ): AggregateInstance<Def, Member, AnyParams>;
+      new (
+        errors: Iterable<Member>,
+        message: string | undefined,
+        opts: ErrorOpts,
+      ): AggregateInstance<Def, Member, AnyParams>;
+      new (
+        errors: Iterable<Member>,
+        params: ParamsFor<Def["message"]>,
+      ): AggregateInstance<Def, Member>;
+      new (
+        errors: Iterable<Member>,
+        params: ParamsFor<Def["message"]>,
+        opts: ErrorOpts,
+      ): AggregateInstance<Def, Member>;
+    }
+  : {
+      new (errors: Iterable<Member>): AggregateInstance<Def, Member>;
+      new (
+        errors: Iterable<Member>,
+        opts: ErrorOpts,
+      ): AggregateInstance<Def, Member>;
+      new (
+        errors: Iterable<Member>,
+        message: string,
+      ): AggregateInstance<Def, Member>;
+      new (
+        errors: Iterable<Member>,
+        message: string | undefined,
+        opts: ErrorOpts,
+      ): AggregateInstance<Def, Member>;
+    }) &
+  ClassStatics<Def>;
 
-type ValidateDefinition<Def extends ErrorDefinition> = ExtractParams<
+type ValidateDefinition<Def extends ErrorDefinition> = ParamNames<
   Def["message"]
 > &
   ForbiddenParamKeys extends never
   ? ErrorConstructor<Def>
   : "Error: message template cannot use reserved parameter name 'cause'";
 
+declare const categoryBrand: unique symbol;
+
+type CategoryInstance<Name extends string, Parent extends Error> = Parent & {
+  // Type-only marker so that `instanceof` narrows between categories
+  readonly [categoryBrand]: Record<Name, true>;
+};
+
+export type ErrorCategory<
+  Name extends string = string,
+  Parent extends Error = Error,
+> = (abstract new (
+  message?: string,
+  opts?: ErrorOpts,
+) => CategoryInstance<Name, Parent>) & { name: Name };
+
+export function createErrorCategory<
+  const Name extends string,
+  Parent extends ErrorCategory<string, Error> | typeof Error = typeof Error,
+>(definition: {
+  name: Name;
+  /** Category to extend instead of `Error` */
+  parent?: Parent;
+}): ErrorCategory<Name, InstanceType<Parent>>;
+
+/** `Def` itself when valid, otherwise a type that flags the invalid keys */
+type HasValidStatus<Def extends ErrorDefinition> = Def extends { http: false }
+  ? true
+  : number extends Def["status"]
+    ? true
+    : `${Def["status"]}` extends `${1 | 2 | 3 | 4 | 5}${Digit}${Digit}`
+      ? true
+      : false;
+
+/** `Def` with `Key` replaced by an error message, to report an invalid key */
+type Invalid<Def, Key extends PropertyKey, Message extends string> = Omit<
+  Def,
+  Key
+> & { [K in Key]: Message };
+
+type CheckDefinition<Def extends ErrorDefinition> = ParamNames<Def["message"]> &
+  ForbiddenParamKeys extends never
+  ? IsScreamingSnake<Def["code"]> extends false
+    ? Invalid<Def, "code", "Error: code must be in SCREAMING_SNAKE_CASE">
+    : HasValidStatus<Def> extends false
+      ? Invalid<
+          Def,
+          "status",
+          "Error: status must be an integer from 100 to 599, or set http: false"
+        >
+      : Exclude<keyof Def, keyof ErrorDefinition> &
+            ReservedMetadataKeys extends never
+        ? Def
+        : Invalid<
+            Def,
+            Exclude<keyof Def, keyof ErrorDefinition> & ReservedMetadataKeys,
+            "Error: reserved metadata key"
+          >
+  : ErrorDefinition & { message: ValidateMessage<Def["message"]> };
+
 export function createErrorClass<const Def extends ErrorDefinition>(
-  def: ExtractParams<Def["message"]> & ForbiddenParamKeys extends never
-    ? Def
-    : ErrorDefinition & { message: ValidateMessage<Def["message"]> },
+  def: CheckDefinition<Def>,
 ): ValidateDefinition<Def>;
 
+/** Codes of the definitions in `Defs` other than the one at index `K` */
+type OtherCodes<Defs extends ReadonlyArray<ErrorDefinition>, K> = {
+  [I in keyof Defs]: I extends K
+    ? never
+    : Defs[I] extends ErrorDefinition
+      ? Defs[I]["code"]
+      : never;
+}[number];
+
+/**
+ * Creates a class that extends `AggregateError`. Pass a registry to type
+ * `errors` as instances of its classes.
+ */
+export function createAggregateErrorClass<
+  const Def extends ErrorDefinition,
+  const R extends ErrorRegistry = never,
+>(
+  def: CheckDefinition<Def> & { parent?: never },
+  registry?: R,
+): ParamNames<Def["message"]> & ForbiddenParamKeys extends never
+  ? AggregateErrorConstructor<
+      Def,
+      [R] extends [never] ? Error : RegistryError<R>
+    >
+  : "Error: message template cannot use reserved parameter name 'cause'";
+
 type ValidateDefinitions<Defs extends ReadonlyArray<ErrorDefinition>> = {
   [K in keyof Defs]: Defs[K] extends ErrorDefinition
-    ? ExtractParams<Defs[K]["message"]> & ForbiddenParamKeys extends never
-      ? Defs[K]
-      : ErrorDefinition & { message: ValidateMessage<Defs[K]["message"]> }
+    ? string extends Defs[K]["code"]
+      ? CheckDefinition<Defs[K]>
+      : Defs[K]["code"] extends OtherCodes<Defs, K>
+        ? Invalid<Defs[K], "code", "Error: duplicate error code">
+        : PascalFromScreamingSnake<
+              Defs[K]["code"]
+            > extends PascalFromScreamingSnake<OtherCodes<Defs, K>>
+          ? Invalid<Defs[K], "code", "Error: duplicate class name">
+          : CheckDefinition<Defs[K]>
     : Defs[K];
 };
 
@@ -111,6 +611,442 @@ export function createErrorClassesByName<
   >]: ValidateDefinition<D>;
 };
 
-export function isCustomError(
+export function serializeError(
+  error: Error,
+  options?: SerializeOptions,
+): SerializedError;
+export function serializeError(
+  error: unknown,
+  options?: SerializeOptions,
+): unknown;
+
+export type LogSerializeOptions = {
+  /** Include `stack` for each serialized error (default `true`) */
+  stack?: boolean;
+  /** Levels of causes serialized as objects, deeper ones are inspected */
+  depth?: number;
+};
+
+/** A param, cause or other value as written to a log record */
+export type LogValue = string | number | boolean | null;
+
+export type LogRecord = {
+  type: string;
+  message: string;
+  stack?: string;
+  code?: string;
+  status?: number;
+  params?: Record<string, LogValue>;
+  cause?: LogRecord | LogValue;
+  errors?: Array<LogRecord | LogValue>;
+};
+
+/** Serializes errors for structured loggers, e.g. as pino's `serializers.err` */
+export function serializeForLog(
+  error: Error,
+  options?: LogSerializeOptions,
+): LogRecord;
+export function serializeForLog(
   error: unknown,
-): error is ErrorInstance<ErrorDefinition>;
+  options?: LogSerializeOptions,
+): unknown;
+
+export type CustomErrorClass = (abstract new (
+  ...args: any[]
+) => ErrorInstance<ErrorDefinition>) & {
+  code: string;
+  status: number;
+  template: string;
+};
+
+/** Object map of error classes, as returned by `createErrorClassesByCode` */
+export type ErrorRegistry = { readonly [key: string]: CustomErrorClass };
+
+/** Union of the instance types of every class in a registry */
+export type RegistryError<R extends ErrorRegistry> = InstanceType<R[keyof R]>;
+
+export function fromJSON<const R extends ErrorRegistry>(
+  payload: unknown,
+  registry: R,
+): RegistryError<R> | Error;
+
+type KebabFromScreamingSnake<T extends string> = string extends T
+  ? string
+  : T extends `${infer Head}_${infer Rest}`
+    ? `${Lowercase<Head>}-${KebabFromScreamingSnake<Rest>}`
+    : Lowercase<T>;
+
+export type ProblemDetailsOptions = {
+  /** Prefix for the `type` URI, e.g. `"https://example.com/problems/"` */
+  baseURI?: string;
+  /** URI reference identifying this occurrence, e.g. the request path */
+  instance?: string;
+};
+
+/** An RFC 9457 `application/problem+json` document */
+export type ProblemDetails = {
+  type: string;
+  title: string;
+  status: number;
+  detail?: string;
+  instance?: string;
+  code?: string;
+  [extension: string]: unknown;
+};
+
+type CustomErrorProblemDetails<E> = E extends {
+  code: infer Code extends string;
+  status: infer Status extends number;
+}
+  ? ProblemDetails & {
+      type: `${string}${KebabFromScreamingSnake<Code>}`;
+      status: Status;
+      detail: string;
+      code: Code;
+    }
+  : ProblemDetails;
+
+export function toProblemDetails<E>(
+  error: E,
+  options?: ProblemDetailsOptions,
+): CustomErrorProblemDetails<E>;
+
+export function fromProblemDetails<const R extends ErrorRegistry>(
+  problem: unknown,
+  registry: R,
+  options?: Pick<ProblemDetailsOptions, "baseURI">,
+): RegistryError<R> | Error;
+
+export type OpenAPIOptions<Prefix extends string = ""> = {
+  /** `"json"` (default) or `"problem"`, as given to `errorResponse` */
+  format?: "json" | "problem";
+  /** Prefix of the Problem Details `type` URI */
+  baseURI?: string;
+  /** Prepended to every component name, to keep registries apart */
+  prefix?: Prefix;
+  /** Add responses for each status and status range (default `true`) */
+  groups?: boolean;
+};
+
+/** A JSON Schema object, as used by OpenAPI */
+export type OpenAPISchema = { [keyword: string]: unknown };
+
+export type OpenAPIResponse = {
+  description: string;
+  content: { [contentType: string]: { schema: OpenAPISchema } };
+};
+
+type StatusRange<Status extends number> =
+  `${Status}` extends `${infer Digit}${string}` ? `${Digit}XX` : never;
+
+type ClassName<Klass> = Klass extends { name: infer Name extends string }
+  ? Name
+  : string;
+
+type OpenAPIComponents<R extends ErrorRegistry, Prefix extends string> = {
+  schemas: Record<`${Prefix}${ClassName<R[keyof R]>}`, OpenAPISchema>;
+  responses: Record<`${Prefix}${ClassName<R[keyof R]>}`, OpenAPIResponse> &
+    Partial<
+      Record<
+        | `${Prefix}${R[keyof R]["status"]}`
+        | `${Prefix}${StatusRange<R[keyof R]["status"]>}`,
+        OpenAPIResponse
+      >
+    >;
+};
+
+/**
+ * OpenAPI components for the bodies that `errorResponse` sends for each class
+ * in the registry, with responses grouped by status, e.g. `"404"`, and by
+ * status range, e.g. `"4XX"`
+ */
+export function toOpenAPI<
+  const R extends ErrorRegistry,
+  const Prefix extends string = "",
+>(
+  registry: R,
+  options?: OpenAPIOptions<Prefix>,
+): { components: OpenAPIComponents<R, Prefix> };
+
+/** A locale tag, or a list of them in order of preference */
+type Locales = string | ReadonlyArray<string>;
+
+type TemplateFor<R extends ErrorRegistry, Code> = R[keyof R] extends infer Klass
+  ? Klass extends { code: Code; template: infer Template extends string }
+    ? Template
+    : never
+  : never;
+
+type SameParams<A extends string, B extends string> = [ParamPaths<A>] extends [
+  ParamPaths<B>,
+]
+  ? [ParamPaths<B>] extends [ParamPaths<A>]
+    ? true
+    : false
+  : false;
+
+type ValidateCatalogs<R extends ErrorRegistry, Catalogs> = {
+  [Locale in keyof Catalogs]: {
+    [Code in keyof Catalogs[Locale]]: Code extends R[keyof R]["code"]
+      ? Catalogs[Locale][Code] extends string
+        ? string extends Catalogs[Locale][Code]
+          ? string
+          : SameParams<
+                TemplateFor<R, Code>,
+                Catalogs[Locale][Code]
+              > extends true
+            ? Catalogs[Locale][Code]
+            : `Error: template must use the same parameters as "${TemplateFor<R, Code>}"`
+        : string
+      : never;
+  };
+};
+
+/** Templates keyed by locale, then by error code */
+export type MessageCatalogs<R extends ErrorRegistry = ErrorRegistry> = {
+  [locale: string]: { [Code in R[keyof R]["code"]]?: string };
+};
+
+export function registerMessages<
+  const R extends ErrorRegistry,
+  const Catalogs extends MessageCatalogs<R>,
+>(registry: R, catalogs: ValidateCatalogs<R, Catalogs>): void;
+
+export function formatMessage(
+  error: Error & { params?: Readonly<Record<string, unknown>> },
+  locale: Locales,
+): string;
+
+/** Status passed to a gRPC callback or `call.emit("error")` */
+export type GrpcStatus<Metadata = Record<string, string>> = {
+  code: number;
+  details: string;
+  metadata: Metadata;
+};
+
+export type GrpcStatusOptions<Metadata> = {
+  /** e.g. a grpc-js `Metadata` to add the entries to with `set()` */
+  metadata?: Metadata;
+};
+
+export function toGrpcStatus<
+  Metadata extends
+    Record<string, string> | { set(key: string, value: string): unknown } =
+    Record<string, string>,
+>(error: unknown, options?: GrpcStatusOptions<Metadata>): GrpcStatus<Metadata>;
+
+export function fromGrpcStatus<const R extends ErrorRegistry>(
+  status: {
+    code: number;
+    details?: string;
+    metadata?:
+      | Readonly<Record<string, unknown>>
+      | { get(key: string): ReadonlyArray<unknown> };
+  },
+  registry: R,
+): RegistryError<R> | Error;
+
+/** A JSON-RPC 2.0 error object */
+export type JsonRpcError = {
+  code: number;
+  message: string;
+  data?: { code: string; params?: Readonly<Record<string, unknown>> };
+};
+
+export function toJsonRpcError(error: unknown): JsonRpcError;
+
+export function fromJsonRpcError<const R extends ErrorRegistry>(
+  error: { code: number; message: string; data?: unknown },
+  registry: R,
+): RegistryError<R> | Error;
+
+/**
+ * The error and everything reachable from it through `cause` links and
+ * `AggregateError.errors`, depth first. Causes can be any value.
+ */
+export function getCauseChain(error: unknown): unknown[];
+
+/** The end of the `cause` links of `error`, or `error` if it has no cause */
+export function getRootCause(error: unknown): unknown;
+
+/** The first error in the cause chain that is an instance of `klass` */
+export function findCause<Klass extends abstract new (...args: any[]) => Error>(
+  error: unknown,
+  klass: Klass,
+): InstanceType<Klass> | undefined;
+/** The first error in the cause chain with the given `code` */
+export function findCause<const Code extends string>(
+  error: unknown,
+  code: Code,
+): (Error & { code: Code }) | undefined;
+
+/** Whether any error in the cause chain has the given `code` */
+export function hasCode(error: unknown, code: string): boolean;
+
+/** One handler per class of the registry, keyed like the registry */
+type MatchHandlers<R extends ErrorRegistry> = {
+  [K in keyof R]?: (error: InstanceType<R[K]>) => unknown;
+} & {
+  /** Handles errors without a handler of their own, including unknown errors */
+  _?: (error: unknown) => unknown;
+};
+
+/**
+ * Rejects handlers for classes that are not in the registry, and requires a
+ * handler for every class unless there is a `_` default
+ */
+type ExhaustiveHandlers<R extends ErrorRegistry, H> = H & {
+  [
+    K in Exclude<keyof H, keyof R | "_">
+  ]: "Error: no such class in the registry";
+} & ("_" extends keyof H
+    ? unknown
+    : { [K in Exclude<keyof R, keyof H>]: "Error: missing handler" });
+
+type HandlerResult<H> = {
+  [K in keyof H]: H[K] extends (...args: any[]) => infer Result
+    ? Result
+    : never;
+}[keyof H];
+
+/**
+ * Calls the handler for the class of `error`, or `_` if there is none. Throws
+ * `error` when neither exists.
+ */
+export function matchError<
+  const R extends ErrorRegistry,
+  const H extends MatchHandlers<R>,
+>(
+  error: unknown,
+  registry: R,
+  handlers: ExhaustiveHandlers<R, H>,
+): HandlerResult<H>;
+
+export type Result<T, E> = { ok: true; value: T } | { ok: false; error: E };
+
+/**
+ * A class that other errors can be wrapped in, as its `cause`. It is
+ * constructed with `(undefined, { cause })`, which classes without template
+ * params also accept as `({ cause })`.
+ */
+export type FallbackClass<Instance extends Error = Error> = (new (
+  opts: ErrorOpts,
+) => Instance) &
+  (new (message: undefined, opts: ErrorOpts) => Instance);
+
+export type TryCatchOptions<Fallback extends FallbackClass> = {
+  /** Wraps errors not from the registry, which are rethrown otherwise */
+  fallback?: Fallback;
+};
+
+/**
+ * Runs `fn` and returns its result or the error it threw, if the error is from
+ * the registry.
+ */
+export function tryCatch<
+  T,
+  const R extends ErrorRegistry,
+  Fallback extends FallbackClass = never,
+>(
+  fn: () => T,
+  registry: R,
+  options?: TryCatchOptions<Fallback>,
+): Result<T, RegistryError<R> | InstanceType<Fallback>>;
+
+/** Like `tryCatch`, for async functions */
+export function tryCatchAsync<
+  T,
+  const R extends ErrorRegistry,
+  Fallback extends FallbackClass = never,
+>(
+  fn: () => T | PromiseLike<T>,
+  registry: R,
+  options?: TryCatchOptions<Fallback>,
+): Promise<Result<Awaited<T>, RegistryError<R> | InstanceType<Fallback>>>;
+
+/** Matches errors by their `code`, by class, or with a predicate */
+export type ErrorMatcher =
+  | string
+  | (abstract new (...args: any[]) => Error)
+  | ((error: unknown) => boolean);
+
+type MatchedError<M> = M extends string
+  ? Error & { code: M }
+  : M extends abstract new (...args: any[]) => infer Instance
+    ? Instance
+    : M extends (error: any) => error is infer Guarded
+      ? Guarded
+      : unknown;
+
+type WrapOptions<M, Params> = {
+  match?: M;
+} & ([Params] extends [never]
+  ? {}
+  : {
+      /** Params of the new error, computed from the original one */
+      params: (error: MatchedError<M>) => Params;
+    });
+
+type WrapParams<M> = (error: MatchedError<M>) => Record<string, unknown>;
+
+// Only classes without template params can be constructed without any, so
+// `params` is required for all others
+export type WrapRule<M = ErrorMatcher> =
+  | {
+      match: M;
+      /** Class that matching errors are converted to */
+      to: new () => Error;
+      /** Params of the new error, computed from the original one */
+      params?: WrapParams<M>;
+    }
+  | {
+      match: M;
+      to: new (params: any, opts: ErrorOpts) => Error;
+      params: WrapParams<M>;
+    };
+
+/**
+ * Returns `fn` with thrown errors and rejections converted by the first
+ * matching rule, with the original error as `cause`. Other errors are thrown
+ * unchanged.
+ */
+export function wrapErrors<
+  F extends (...args: any[]) => unknown,
+  const Ms extends ReadonlyArray<unknown>,
+>(
+  fn: F,
+  rules: { [I in keyof Ms]: WrapRule<Ms[I]> & { match: ErrorMatcher } },
+): F;
+
+/**
+ * Errors that `isCustomError` accepts. Only `code` and `status` are checked,
+ * so errors that were not constructed by a generated class, such as those
+ * `fromJSON` revives from unknown codes, match too.
+ */
+export type CustomErrorLike = Error & {
+  code: string;
+  status: number;
+  params?: AnyParams;
+  /** Metadata of generated classes */
+  readonly [key: string]: unknown;
+};
+
+export function isCustomError(error: unknown): error is CustomErrorLike;
+
+export type ErrorClassDescription = {
+  code: string;
+  name: string;
+  status: number;
+  template: string;
+  /** Params used by the template, including nested paths such as `user.id` */
+  params: string[];
+  metadata: Readonly<Record<string, unknown>>;
+};
+
+/**
+ * Describes a class created by this module, e.g. for an error catalog.
+ * Throws a `TypeError` for any other class.
+ */
+export function describeErrorClass(
+  errorClass: abstract new (...args: any[]) => Error,
+): ErrorClassDescription;
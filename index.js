@@ -1,3 +1,11 @@
+function toKebabCase(screamingSnake) {
+  return screamingSnake.toLowerCase().replaceAll("_", "-");
+}
+
+function fromKebabCase(kebab) {
+  return kebab.toUpperCase().replaceAll("-", "_");
+}
+
 function toPascalCase(screamingSnake) {
   return screamingSnake
     .toLowerCase()
@@ -6,33 +14,157 @@ function toPascalCase(screamingSnake) {
     .join("");
 }
 
-const MAX_ITEMS = 50;
-const MAX_STRING = 200;
+const defaultInspectOptions = {
+  maxItems: 50,
+  maxString: 200,
+  depth: 4,
+  formatters: [],
+};
+
+let globalInspectOptions = defaultInspectOptions;
+
+function resolveInspectOptions(overrides) {
+  if (!overrides) return globalInspectOptions;
+  return {
+    ...globalInspectOptions,
+    ...overrides,
+    // Formatters from the definition take precedence over global ones
+    formatters: [
+      ...(overrides.formatters ?? []),
+      ...globalInspectOptions.formatters,
+    ],
+  };
+}
 
-function inspect(value, depth = 4, seen = new WeakSet()) {
+export function configure(options) {
+  if (options.inspect) {
+    globalInspectOptions = {
+      ...globalInspectOptions,
+      ...options.inspect,
+      formatters: options.inspect.formatters ?? globalInspectOptions.formatters,
+    };
+  }
+  if (options.redact?.keys) {
+    redactedKeys = [...options.redact.keys];
+  }
+  if (options.stack !== undefined) {
+    if (!STACK_MODES.has(options.stack)) {
+      throw new TypeError(`Invalid stack option: ${inspect(options.stack)}`);
+    }
+    stackMode = options.stack;
+  }
+}
+
+// How generated errors capture their stack, unless their definition says
+const STACK_MODES = new Set(["eager", "lazy", "none"]);
+let stackMode = "eager";
+
+const REDACTED = "[REDACTED]";
+
+// Key patterns redacted at any depth of every error's params
+let redactedKeys = [];
+
+function isRedactedKey(key) {
+  return redactedKeys.some((pattern) =>
+    typeof pattern === "string" ? pattern === key : pattern.test(key),
+  );
+}
+
+function isPlainObject(value) {
+  if (typeof value !== "object" || value === null) return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+// Returns `params` with sensitive entries replaced by REDACTED, copying only
+// the plain objects and arrays that contain one. `sensitive` holds the dotted
+// paths from the definition. Class instances cannot be copied without losing
+// their prototype, so one that holds a sensitive path or key is replaced as a
+// whole.
+function redactParams(params, sensitive) {
+  if (sensitive.size === 0 && redactedKeys.length === 0) return params;
+  return _redact(params, sensitive, "", new WeakSet());
+}
+
+function _redact(value, sensitive, path, seen) {
+  try {
+    const isArray = Array.isArray(value);
+    if (!isArray && !isPlainObject(value)) {
+      return hidesSensitive(value, sensitive, path) ? REDACTED : value;
+    }
+    if (seen.has(value)) return value;
+    seen.add(value);
+    let result = value;
+    for (const [key, item] of Object.entries(value)) {
+      // Array items share the path of the array itself
+      const itemPath = isArray ? path : path ? `${path}.${key}` : key;
+      const redacted =
+        !isArray && (sensitive.has(itemPath) || isRedactedKey(key))
+          ? REDACTED
+          : _redact(item, sensitive, itemPath, seen);
+      if (redacted !== item) {
+        if (result === value) result = isArray ? [...value] : { ...value };
+        result[key] = redacted;
+      }
+    }
+    seen.delete(value);
+    return result;
+  } catch {
+    // A value that cannot be walked might hide a secret
+    return REDACTED;
+  }
+}
+
+function hidesSensitive(value, sensitive, path) {
+  if (typeof value !== "object" || value === null) return false;
+  for (const sensitivePath of sensitive) {
+    if (sensitivePath.startsWith(`${path}.`)) return true;
+  }
+  return redactedKeys.length > 0 && hasRedactedKey(value, new WeakSet());
+}
+
+function hasRedactedKey(value, seen) {
+  if (typeof value !== "object" || value === null || seen.has(value)) {
+    return false;
+  }
+  seen.add(value);
+  const isArray = Array.isArray(value);
+  return Object.entries(value).some(
+    ([key, item]) =>
+      (!isArray && isRedactedKey(key)) || hasRedactedKey(item, seen),
+  );
+}
+
+function inspect(value, options = globalInspectOptions) {
   try {
-    return _inspect(value, depth, seen);
+    return _inspect(value, options.depth, new WeakSet(), options);
   } catch {
     return "{…}";
   }
 }
 
-function _truncated(items, total) {
-  if (total > MAX_ITEMS) items.push(`… ${total - MAX_ITEMS} more`);
+function _truncated(items, total, options) {
+  if (total > options.maxItems) {
+    items.push(`… ${total - options.maxItems} more`);
+  }
   return items;
 }
 
-function _inspect(value, depth, seen) {
+function _inspect(value, depth, seen, options) {
+  const { maxItems, maxString } = options;
   if (value === null) return "null";
   if (value === undefined) return "undefined";
   const t = typeof value;
   if (t === "string")
-    return value.length > MAX_STRING
-      ? `'${value.slice(0, MAX_STRING)}…'`
+    return value.length > maxString
+      ? `'${value.slice(0, maxString)}…'`
       : `'${value}'`;
   if (t === "number" || t === "boolean") return String(value);
   if (t === "symbol") return value.toString();
   if (t === "bigint") return `${value}n`;
+  for (const { type, format } of options.formatters) {
+    if (value instanceof type) return format(value);
+  }
   if (t === "function") return `[Function: ${value.name || "anonymous"}]`;
   // Non-recursive object types — always show regardless of depth
   if (value instanceof Date)
@@ -50,9 +182,10 @@ function _inspect(value, depth, seen) {
     } else {
       const items = _truncated(
         value
-          .slice(0, MAX_ITEMS)
-          .map((v) => _inspect(v, depth - 1, seen)),
+          .slice(0, maxItems)
+          .map((v) => _inspect(v, depth - 1, seen, options)),
         value.length,
+        options,
       );
       result = `[ ${items.join(", ")} ]`;
     }
@@ -63,12 +196,12 @@ function _inspect(value, depth, seen) {
       const items = [];
       let i = 0;
       value.forEach((v, k) => {
-        if (i++ < MAX_ITEMS)
+        if (i++ < maxItems)
           items.push(
-            `${_inspect(k, depth - 1, seen)} => ${_inspect(v, depth - 1, seen)}`,
+            `${_inspect(k, depth - 1, seen, options)} => ${_inspect(v, depth - 1, seen, options)}`,
           );
       });
-      _truncated(items, value.size);
+      _truncated(items, value.size, options);
       result = `Map(${value.size}) { ${items.join(", ")} }`;
     }
   } else if (value instanceof Set) {
@@ -78,9 +211,9 @@ function _inspect(value, depth, seen) {
       const items = [];
       let i = 0;
       value.forEach((v) => {
-        if (i++ < MAX_ITEMS) items.push(_inspect(v, depth - 1, seen));
+        if (i++ < maxItems) items.push(_inspect(v, depth - 1, seen, options));
       });
-      _truncated(items, value.size);
+      _truncated(items, value.size, options);
       result = `Set(${value.size}) { ${items.join(", ")} }`;
     }
   } else if (ArrayBuffer.isView(value) && typeof value.length === "number") {
@@ -89,10 +222,11 @@ function _inspect(value, depth, seen) {
       result = `${name}([])`;
     } else {
       const items = _truncated(
-        Array.from(value.subarray(0, MAX_ITEMS), (v) =>
-          _inspect(v, depth - 1, seen),
+        Array.from(value.subarray(0, maxItems), (v) =>
+          _inspect(v, depth - 1, seen, options),
         ),
         value.length,
+        options,
       );
       result = `${name}([ ${items.join(", ")} ])`;
     }
@@ -103,9 +237,10 @@ function _inspect(value, depth, seen) {
     } else {
       const items = _truncated(
         keys
-          .slice(0, MAX_ITEMS)
-          .map((k) => `${k}: ${_inspect(value[k], depth - 1, seen)}`),
+          .slice(0, maxItems)
+          .map((k) => `${k}: ${_inspect(value[k], depth - 1, seen, options)}`),
         keys.length,
+        options,
       );
       result = `{ ${items.join(", ")} }`;
     }
@@ -114,43 +249,506 @@ function _inspect(value, depth, seen) {
   return result;
 }
 
-function interpolate(template, params) {
-  return template.replace(/\{(\w+)\}/g, (match, key) =>
-    key in params
-      ? typeof params[key] === "string"
-        ? params[key]
-        : inspect(params[key])
-      : match,
-  );
+const FORMATS = new Set(["number", "date", "time", "list"]);
+
+const SIMPLE_PLACEHOLDER = /\{(\w+(?:\.\w+)*)(?::(\w+))?\}/y;
+const CHOICE_PLACEHOLDER = /\{\s*(\w+(?:\.\w+)*)\s*,\s*(plural|select)\s*,/y;
+const CHOICE_SELECTOR = /\s*(=\d+|\w+)\s*\{/y;
+const CHOICE_END = /\s*\}/y;
+
+// Parses a message template into an array of literal strings and placeholder
+// nodes. Anything that is not a valid placeholder is kept as literal text,
+// unless `strict` is set, in which case malformed placeholders throw.
+function parseTemplate(template, strict = false) {
+  return parseNodes(template, 0, undefined, strict).nodes;
+}
+
+// Parses up to the end of the template, or up to the "}" that closes the
+// current plural/select branch when `branchOf` is set. "{{" and "}}" are
+// escapes for literal braces, except that inside a branch "}" always closes
+// the branch.
+function parseNodes(template, start, branchOf, strict) {
+  const nodes = [];
+  let text = "";
+  let i = start;
+  while (i < template.length) {
+    const char = template[i];
+    let node;
+    let end;
+    if (char === "{" && template[i + 1] === "{") {
+      text += "{";
+      i += 2;
+      continue;
+    } else if (char === "{") {
+      ({ node, end } = parsePlaceholder(template, i, strict) ?? {});
+    } else if (char === "}" && branchOf) {
+      break;
+    } else if (char === "}" && template[i + 1] === "}") {
+      text += "}";
+      i += 2;
+      continue;
+    } else if (char === "#" && branchOf?.type === "plural") {
+      const { key, path } = branchOf;
+      node = { key, path, format: "number", source: "#" };
+      end = i + 1;
+    }
+    if (node) {
+      if (text) nodes.push(text);
+      text = "";
+      nodes.push(node);
+      i = end;
+    } else {
+      text += char;
+      i++;
+    }
+  }
+  if (text) nodes.push(text);
+  return { nodes, end: i };
+}
+
+function parsePlaceholder(template, start, strict) {
+  SIMPLE_PLACEHOLDER.lastIndex = start;
+  const simple = SIMPLE_PLACEHOLDER.exec(template);
+  if (simple) {
+    const [source, key, format] = simple;
+    if (format !== undefined && !FORMATS.has(format)) {
+      if (strict) throw new SyntaxError(`unknown format in "${source}"`);
+      return null;
+    }
+    return {
+      node: { key, path: key.split("."), format, source },
+      end: start + source.length,
+    };
+  }
+
+  CHOICE_PLACEHOLDER.lastIndex = start;
+  const choice = CHOICE_PLACEHOLDER.exec(template);
+  if (!choice) return null;
+  const [, key, type] = choice;
+  const path = key.split(".");
+  const branches = new Map();
+  let i = start + choice[0].length;
+  for (;;) {
+    CHOICE_END.lastIndex = i;
+    const end = CHOICE_END.exec(template);
+    if (end) {
+      i += end[0].length;
+      break;
+    }
+    CHOICE_SELECTOR.lastIndex = i;
+    const selector = CHOICE_SELECTOR.exec(template);
+    const branch =
+      selector &&
+      parseNodes(template, i + selector[0].length, { type, key, path }, strict);
+    if (!branch || template[branch.end] !== "}") {
+      if (strict) throw new SyntaxError(`unterminated ${type} for "{${key}}"`);
+      return null;
+    }
+    branches.set(selector[1], branch.nodes);
+    i = branch.end + 1;
+  }
+  if (!branches.has("other")) {
+    if (strict)
+      throw new SyntaxError(`${type} for "{${key}}" needs an "other" case`);
+    return null;
+  }
+  return {
+    node: { key, path, type, branches, source: template.slice(start, i) },
+    end: i,
+  };
+}
+
+function collectParamNames(nodes, names = new Set()) {
+  for (const node of nodes) {
+    if (typeof node === "string") continue;
+    names.add(node.key);
+    if (node.branches) {
+      for (const branch of node.branches.values()) {
+        collectParamNames(branch, names);
+      }
+    }
+  }
+  return names;
+}
+
+const intlCache = new Map();
+
+// Intl objects are expensive to create, so keep one per kind and locale
+function intl(kind, locale) {
+  const cacheKey = `${kind}:${locale ?? ""}`;
+  let formatter = intlCache.get(cacheKey);
+  if (!formatter) {
+    try {
+      formatter = createIntl(kind, locale);
+    } catch {
+      // Invalid locale tag, fall back to the default locale
+      formatter = createIntl(kind, undefined);
+    }
+    intlCache.set(cacheKey, formatter);
+  }
+  return formatter;
+}
+
+function createIntl(kind, locale) {
+  switch (kind) {
+    case "number":
+      return new Intl.NumberFormat(locale);
+    case "date":
+      return new Intl.DateTimeFormat(locale, { dateStyle: "medium" });
+    case "time":
+      return new Intl.DateTimeFormat(locale, { timeStyle: "medium" });
+    case "list":
+      return new Intl.ListFormat(locale, { type: "conjunction" });
+    case "plural":
+      return new Intl.PluralRules(locale);
+  }
+}
+
+function formatValue(value, options) {
+  return typeof value === "string" ? value : inspect(value, options);
+}
+
+const MISSING = Symbol("missing");
+
+// Resolves a placeholder path such as `user.id` against the params. Keys
+// inside a redacted value resolve to REDACTED too.
+function resolvePath(params, path) {
+  let value = params;
+  for (const key of path) {
+    if (value === REDACTED) return REDACTED;
+    if (value === null || value === undefined || !(key in Object(value))) {
+      return MISSING;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+function formatPlaceholder(node, params, locale, options) {
+  const value = resolvePath(params, node.path);
+  if (value === MISSING) return node.source;
+  if (value === REDACTED) return REDACTED;
+  if (node.type === "plural") {
+    const n = Number(value);
+    const branch =
+      node.branches.get(`=${n}`) ??
+      node.branches.get(intl("plural", locale).select(n)) ??
+      node.branches.get("other");
+    return formatNodes(branch, params, locale, options);
+  }
+  if (node.type === "select") {
+    const branch =
+      node.branches.get(String(value)) ?? node.branches.get("other");
+    return formatNodes(branch, params, locale, options);
+  }
+  switch (node.format) {
+    case "number":
+      if (typeof value === "number" || typeof value === "bigint") {
+        return intl("number", locale).format(value);
+      }
+      break;
+    case "date":
+    case "time":
+      if (value instanceof Date || typeof value === "number") {
+        const date = new Date(value);
+        return isNaN(date.getTime())
+          ? "Invalid Date"
+          : intl(node.format, locale).format(date);
+      }
+      break;
+    case "list":
+      if (Array.isArray(value) || value instanceof Set) {
+        return intl("list", locale).format(
+          Array.from(value, (item) => formatValue(item, options)),
+        );
+      }
+      break;
+  }
+  return formatValue(value, options);
+}
+
+function formatNodes(nodes, params, locale, options) {
+  let result = "";
+  for (const node of nodes) {
+    result +=
+      typeof node === "string"
+        ? node
+        : formatPlaceholder(node, params, locale, options);
+  }
+  return result;
+}
+
+// Parsed templates of custom and localized messages. Custom messages can be
+// built from arbitrary strings, so the cache is cleared when it is full, which
+// is cheaper than evicting entries one at a time.
+const templateCache = new Map();
+const TEMPLATE_CACHE_SIZE = 500;
+
+function compileTemplate(template) {
+  let nodes = templateCache.get(template);
+  if (!nodes) {
+    nodes = parseTemplate(template);
+    if (templateCache.size >= TEMPLATE_CACHE_SIZE) templateCache.clear();
+    templateCache.set(template, nodes);
+  }
+  return nodes;
+}
+
+function interpolate(template, params, locale, options) {
+  return formatNodes(compileTemplate(template), params, locale, options);
+}
+
+// The template as readers see it, with escaped braces shown once and
+// placeholders as they are written
+function displayTemplate(template) {
+  return displayNodes(compileTemplate(template));
+}
+
+function displayNodes(nodes) {
+  let result = "";
+  for (const node of nodes) {
+    if (typeof node === "string") {
+      result += node;
+    } else if (node.branches) {
+      const branches = Array.from(
+        node.branches,
+        ([selector, branch]) => `${selector} {${displayNodes(branch)}}`,
+      );
+      result += `{${node.key}, ${node.type}, ${branches.join(" ")}}`;
+    } else {
+      result += node.source;
+    }
+  }
+  return result;
+}
+
+function templateParamNames(template) {
+  return collectParamNames(compileTemplate(template));
 }
 
 const RESERVED_PARAMS = new Set(["cause"]);
 
+// Returns the parsed template, so that it only has to be parsed once
 function validateMessage(code, message) {
-  const params = message.matchAll(/\{(\w+)\}/g);
-  for (const [, key] of params) {
-    if (RESERVED_PARAMS.has(key)) {
+  let nodes;
+  try {
+    nodes = parseTemplate(message, true);
+  } catch (err) {
+    throw new Error(
+      `Error definition "${code}" has an invalid message template: ${err.message}`,
+    );
+  }
+  for (const key of collectParamNames(nodes)) {
+    if (RESERVED_PARAMS.has(key.split(".")[0])) {
       throw new Error(
         `Error definition "${code}" uses reserved parameter name "{${key}}" in message template`,
       );
     }
   }
+  return nodes;
+}
+
+const categories = new WeakSet();
+
+export function createErrorCategory(definition) {
+  const { name, parent = Error } = definition;
+  if (parent !== Error && !categories.has(parent)) {
+    throw new TypeError(
+      `Error category "${name}" must have another error category as its parent`,
+    );
+  }
+
+  const Category = class extends parent {
+    constructor(message, opts) {
+      if (new.target === Category) {
+        throw new TypeError(
+          `${name} is an abstract error category and cannot be instantiated`,
+        );
+      }
+      super(message, opts);
+    }
+  };
+
+  Object.defineProperty(Category, "name", { value: name });
+  categories.add(Category);
+
+  return Category;
+}
+
+// Keys of a definition with a meaning of their own; any others are metadata
+const DEFINITION_KEYS = new Set([
+  "code",
+  "message",
+  "status",
+  "parent",
+  "inspect",
+  "sensitive",
+  "grpcCode",
+  "jsonRpcCode",
+  "http",
+  "stack",
+]);
+
+const SCREAMING_SNAKE_CASE = /^[A-Z][A-Z0-9]*(?:_[A-Z0-9]+)*$/;
+
+// Members of generated classes and their instances that metadata must not
+// shadow, in addition to everything on `Function.prototype`
+const RESERVED_METADATA_KEYS = new Set([
+  "prototype",
+  "stack",
+  "cause",
+  "params",
+  "errors",
+  "template",
+  "metadata",
+  "toJSON",
+  "localize",
+  "revealParams",
+  "wrap",
+]);
+
+function collectMetadata(definition) {
+  const metadata = {};
+  for (const key of Object.keys(definition)) {
+    if (DEFINITION_KEYS.has(key)) continue;
+    if (RESERVED_METADATA_KEYS.has(key) || key in Function.prototype) {
+      throw new TypeError(
+        `Error definition "${definition.code}" uses reserved metadata key "${key}"`,
+      );
+    }
+    metadata[key] = definition[key];
+  }
+  return Object.freeze(metadata);
+}
+
+// Definition each generated class was created from
+const definitions = new WeakMap();
+
+// Params of each generated error as passed, before redaction
+const rawParams = new WeakMap();
+
+// Set by fromJSON while it constructs an error whose message is already
+// formatted
+let revivingMessage = false;
+
+const inspectCustom = Symbol.for("nodejs.util.inspect.custom");
+
+// Renders a generated error for `util.inspect()` and `console.log()`: the
+// stack with the code in its first line, followed by status, params and the
+// cause chain. `nodeInspect` is Node's own inspect, used for nested values so
+// that colors and depth follow the caller's options.
+function inspectError(error, depth, options, nodeInspect) {
+  const header = `${error.name} [${error.code}]`;
+  if (depth < 0) return options.stylize(`[${header}]`, "special");
+  const format = nodeInspect
+    ? (value) =>
+        nodeInspect(value, {
+          ...options,
+          depth: options.depth === null ? null : options.depth - 1,
+        })
+    : (value) => inspect(value);
+  const prefix = `${error.name}: ${error.message}`;
+  const stack =
+    typeof error.stack === "string" && error.stack.startsWith(prefix)
+      ? `${header}: ${error.message}${error.stack.slice(prefix.length)}`
+      : `${header}: ${error.message}`;
+  const fields = [
+    `status: ${format(error.status)}`,
+    `params: ${format(error.params)}`,
+  ];
+  if (error.cause !== undefined) fields.push(`[cause]: ${format(error.cause)}`);
+  if (error instanceof AggregateError) {
+    fields.push(`[errors]: ${format(error.errors)}`);
+  }
+  const body = fields.join(",\n").replace(/\n/g, "\n  ");
+  return `${stack} {\n  ${body}\n}`;
 }
 
 export function createErrorClass(definition) {
-  const { code, message: defaultMessage, status } = definition;
+  return defineErrorClass(definition, false);
+}
+
+export function createAggregateErrorClass(definition) {
+  if (definition.parent !== undefined) {
+    throw new TypeError(
+      `Error definition "${definition.code}" cannot have a parent, as aggregate error classes extend AggregateError`,
+    );
+  }
+  return defineErrorClass(definition, true);
+}
+
+// Classes from createAggregateErrorClass, whose constructors take the errors
+// as their first argument
+const aggregateClasses = new WeakSet();
+
+function defineErrorClass(definition, aggregate) {
+  const {
+    code,
+    message: defaultMessage,
+    status,
+    parent = Error,
+    grpcCode = grpcCodeFromStatus(status),
+    jsonRpcCode = jsonRpcCodeFromStatus(status),
+    http = true,
+  } = definition;
+
+  if (typeof code !== "string" || !SCREAMING_SNAKE_CASE.test(code)) {
+    throw new TypeError(
+      `Error definition code ${typeof code === "string" ? `"${code}"` : inspect(code)} must be in SCREAMING_SNAKE_CASE, e.g. "NOT_FOUND"`,
+    );
+  }
+  if (
+    http
+      ? !Number.isInteger(status) || status < 100 || status > 599
+      : typeof status !== "number"
+  ) {
+    throw new TypeError(
+      http
+        ? `Error definition "${code}" has an invalid HTTP status: ${inspect(status)}. Use an integer from 100 to 599, or set \`http: false\``
+        : `Error definition "${code}" has an invalid status: ${inspect(status)}`,
+    );
+  }
+
   const className = toPascalCase(code);
 
-  validateMessage(code, defaultMessage);
+  const defaultNodes = validateMessage(code, defaultMessage);
+  if (parent !== Error && !categories.has(parent)) {
+    throw new TypeError(
+      `Error definition "${code}" must have an error category as its parent`,
+    );
+  }
+  if (!Number.isInteger(grpcCode) || grpcCode < 0 || grpcCode > 16) {
+    throw new TypeError(
+      `Error definition "${code}" has an invalid gRPC status code: ${grpcCode}`,
+    );
+  }
+  if (definition.stack !== undefined && !STACK_MODES.has(definition.stack)) {
+    throw new TypeError(
+      `Error definition "${code}" has an invalid stack option: ${inspect(definition.stack)}. Use "eager", "lazy" or "none"`,
+    );
+  }
+  if (!Number.isInteger(jsonRpcCode)) {
+    throw new TypeError(
+      `Error definition "${code}" has an invalid JSON-RPC error code: ${jsonRpcCode}`,
+    );
+  }
 
-  const hasTemplateParams = /\{\w+\}/.test(defaultMessage);
+  const metadata = collectMetadata(definition);
+  const hasTemplateParams = collectParamNames(defaultNodes).size > 0;
+  const sensitive = new Set(definition.sensitive);
 
-  const ErrorKlass = class extends Error {
+  const ErrorKlass = class extends (aggregate ? AggregateError : parent) {
     code = code;
     status = status;
+    grpcCode = grpcCode;
+    jsonRpcCode = jsonRpcCode;
     name = className;
 
-    constructor(messageOrParams, paramsOrOpts, opts) {
+    constructor(...args) {
+      const formattedMessage = revivingMessage;
+      revivingMessage = false;
+      const errors = aggregate ? args.shift() : undefined;
+      const [messageOrParams, paramsOrOpts, opts] = args;
       const message =
         typeof messageOrParams === "string" ? messageOrParams : defaultMessage;
 
@@ -181,24 +779,117 @@ export function createErrorClass(definition) {
         }
       }
 
-      super(
-        params ? interpolate(message, params) : message,
-        cause !== undefined ? { cause } : undefined,
-      );
+      const redactedParams = redactParams({ ...params }, sensitive);
+
+      const formatted = formattedMessage
+        ? message
+        : formatNodes(
+            message === defaultMessage
+              ? defaultNodes
+              : compileTemplate(message),
+            redactedParams,
+            undefined,
+            resolveInspectOptions(definition.inspect),
+          );
+      const errorOpts = cause !== undefined ? { cause } : undefined;
+      const stack = definition.stack ?? stackMode;
+      // Where captureStackTrace is available, the stack is captured once
+      // below without this constructor's frames, so the Error constructor
+      // does not need to capture one too
+      const captureLater = typeof Error.captureStackTrace === "function";
+      const { stackTraceLimit } = Error;
+      if (stack === "none" || captureLater) Error.stackTraceLimit = 0;
+      try {
+        if (aggregate) {
+          super(errors, formatted, errorOpts);
+        } else {
+          super(formatted, errorOpts);
+        }
+      } finally {
+        Error.stackTraceLimit = stackTraceLimit;
+      }
+
+      this.params = Object.freeze(redactedParams);
+      // Revived errors have no params of their own, and reveal the
+      // redacted ones they were given afterwards
+      if (params !== undefined)
+        rawParams.set(this, Object.freeze({ ...params }));
+      Object.assign(this, metadata);
 
-      if (Error.captureStackTrace) {
+      if (stack === "none") {
+        this.stack = `${this.name}: ${this.message}`;
+      } else if (captureLater) {
         Error.captureStackTrace(this, this.constructor);
       }
     }
+
+    toJSON(options) {
+      return serializeError(this, options);
+    }
+
+    localize(locale) {
+      return formatMessage(this, locale);
+    }
+
+    revealParams() {
+      return rawParams.get(this) ?? this.params;
+    }
+
+    [inspectCustom](depth, options, nodeInspect) {
+      return inspectError(this, depth, options, nodeInspect);
+    }
   };
 
   Object.defineProperty(ErrorKlass, "name", { value: className });
   ErrorKlass.code = code;
+  ErrorKlass.status = status;
+  ErrorKlass.grpcCode = grpcCode;
+  ErrorKlass.jsonRpcCode = jsonRpcCode;
+  ErrorKlass.template = defaultMessage;
+  ErrorKlass.metadata = metadata;
+  Object.assign(ErrorKlass, metadata);
+  definitions.set(ErrorKlass, definition);
+  if (aggregate) {
+    aggregateClasses.add(ErrorKlass);
+  } else {
+    // Without `match`, wraps every error not created by this module
+    ErrorKlass.wrap = (fn, options = {}) =>
+      wrapErrors(fn, [
+        {
+          match: options.match ?? ((error) => !isCustomError(error)),
+          to: ErrorKlass,
+          params: options.params,
+        },
+      ]);
+  }
 
   return ErrorKlass;
 }
 
+// Codes and class names must be unique within a batch, as either one is used as
+// the key of the returned object
+function validateDefinitions(definitions) {
+  const codes = new Set();
+  const names = new Map();
+  for (const { code } of definitions) {
+    // Left to createErrorClass to report
+    if (typeof code !== "string") continue;
+    if (codes.has(code)) {
+      throw new Error(`Duplicate error definition code "${code}"`);
+    }
+    codes.add(code);
+    const name = toPascalCase(code);
+    if (names.has(name)) {
+      throw new Error(
+        `Error definition codes "${names.get(name)}" and "${code}" both have the class name "${name}"`,
+      );
+    }
+    names.set(name, code);
+  }
+}
+
 export function createErrorClassesByCode(definitions) {
+  validateDefinitions(definitions);
   const classes = {};
   for (const def of definitions) {
     classes[def.code] = createErrorClass(def);
@@ -207,6 +898,7 @@ export function createErrorClassesByCode(definitions) {
 }
 
 export function createErrorClassesByName(definitions) {
+  validateDefinitions(definitions);
   const classes = {};
   for (const def of definitions) {
     classes[toPascalCase(def.code)] = createErrorClass(def);
@@ -214,6 +906,618 @@ export function createErrorClassesByName(definitions) {
   return classes;
 }
 
+// Localized templates of each generated class: Map<locale, template>
+const localeCatalogs = new WeakMap();
+
+export function registerMessages(registry, catalogs) {
+  const classes = indexByCode(registry);
+  for (const [locale, templates] of Object.entries(catalogs)) {
+    for (const [code, template] of Object.entries(templates)) {
+      const Klass = classes.get(code);
+      if (!Klass) {
+        throw new Error(
+          `Message catalog "${locale}" has a template for unknown error code "${code}"`,
+        );
+      }
+      try {
+        parseTemplate(template, true);
+      } catch (err) {
+        throw new Error(
+          `Message catalog "${locale}" template for "${code}" is invalid: ${err.message}`,
+        );
+      }
+      if (!sameParams(Klass.template, template)) {
+        throw new Error(
+          `Message catalog "${locale}" template for "${code}" must use the same parameters as the default template`,
+        );
+      }
+      if (!localeCatalogs.has(Klass)) localeCatalogs.set(Klass, new Map());
+      localeCatalogs.get(Klass).set(locale, template);
+    }
+  }
+}
+
+function sameParams(a, b) {
+  const paramsA = templateParamNames(a);
+  const paramsB = templateParamNames(b);
+  return (
+    paramsA.size === paramsB.size && [...paramsA].every((p) => paramsB.has(p))
+  );
+}
+
+// Tries each locale in order, falling back from "de-CH" to "de". Returns the
+// matching locale and its template.
+function lookupTemplate(templates, locales) {
+  for (const locale of typeof locales === "string" ? [locales] : locales) {
+    const subtags = locale.split("-");
+    while (subtags.length > 0) {
+      const tag = subtags.join("-");
+      if (templates.has(tag)) return [tag, templates.get(tag)];
+      subtags.pop();
+    }
+  }
+  return [];
+}
+
+export function formatMessage(error, locale) {
+  const templates = localeCatalogs.get(error.constructor);
+  if (!templates) return error.message;
+  const [tag, template] = lookupTemplate(templates, locale);
+  return template === undefined
+    ? error.message
+    : interpolate(
+        template,
+        error.params ?? {},
+        tag,
+        resolveInspectOptions(definitions.get(error.constructor)?.inspect),
+      );
+}
+
+// Params that JSON.stringify rejects, such as cycles and BigInts, are legal
+// in messages, so they are replaced by the text they show there
+function jsonParams(error) {
+  const options = resolveInspectOptions(
+    definitions.get(error.constructor)?.inspect,
+  );
+  const params = {};
+  for (const [key, value] of Object.entries(error.params)) {
+    try {
+      JSON.stringify(value);
+      params[key] = value;
+    } catch {
+      params[key] = inspect(value, options);
+    }
+  }
+  return params;
+}
+
+export function serializeError(error, options) {
+  return _serialize(error, options?.stack === true, new Set());
+}
+
+function _serialize(value, withStack, seen) {
+  if (!(value instanceof Error)) return value;
+  seen.add(value);
+  const result = { name: value.name };
+  if (typeof value.code === "string") result.code = value.code;
+  if (typeof value.status === "number") result.status = value.status;
+  result.message = value.message;
+  if (typeof value.params === "object" && value.params !== null) {
+    result.params = jsonParams(value);
+  }
+  if (value.cause !== undefined && !seen.has(value.cause)) {
+    result.cause = _serialize(value.cause, withStack, seen);
+  }
+  if (value instanceof AggregateError && Array.isArray(value.errors)) {
+    result.errors = value.errors
+      .filter((e) => !seen.has(e))
+      .map((e) => _serialize(e, withStack, seen));
+  }
+  if (withStack && typeof value.stack === "string") result.stack = value.stack;
+  seen.delete(value);
+  return result;
+}
+
+// Serializes errors for structured loggers, e.g. as pino's `serializers.err`.
+// Params are flattened to primitives, and other values and causes beyond
+// `depth` are inspected, so that log records stay small and free of cycles.
+export function serializeForLog(error, options = {}) {
+  if (!(error instanceof Error)) return error;
+  const { stack = true, depth = globalInspectOptions.depth } = options;
+  return _serializeForLog(error, depth, stack, new Set());
+}
+
+function _serializeForLog(error, depth, withStack, seen) {
+  const options = resolveInspectOptions(
+    definitions.get(error.constructor)?.inspect,
+  );
+  seen.add(error);
+  const result = { type: error.name, message: error.message };
+  if (withStack && typeof error.stack === "string") result.stack = error.stack;
+  if (typeof error.code === "string") result.code = error.code;
+  if (typeof error.status === "number") result.status = error.status;
+  if (typeof error.params === "object" && error.params !== null) {
+    result.params = {};
+    for (const [key, value] of Object.entries(error.params)) {
+      result.params[key] = loggableValue(value, options);
+    }
+  }
+  if (error.cause !== undefined) {
+    result.cause = loggableCause(error.cause, depth, withStack, seen);
+  }
+  if (error instanceof AggregateError && Array.isArray(error.errors)) {
+    result.errors = _truncated(
+      error.errors
+        .slice(0, options.maxItems)
+        .map((e) => loggableCause(e, depth, withStack, seen)),
+      error.errors.length,
+      options,
+    );
+  }
+  seen.delete(error);
+  return result;
+}
+
+function loggableCause(value, depth, withStack, seen) {
+  if (seen.has(value)) return "[Circular]";
+  if (value instanceof Error && depth > 0) {
+    return _serializeForLog(value, depth - 1, withStack, seen);
+  }
+  return loggableValue(value, globalInspectOptions);
+}
+
+function loggableValue(value, options) {
+  if (typeof value === "string") {
+    return value.length > options.maxString
+      ? `${value.slice(0, options.maxString)}…`
+      : value;
+  }
+  if (
+    value === null ||
+    typeof value === "number" ||
+    typeof value === "boolean"
+  ) {
+    return value;
+  }
+  return inspect(value, options);
+}
+
+export function fromJSON(payload, registry) {
+  if (!isSerializedError(payload)) {
+    throw new TypeError("Expected a serialized error with a string message");
+  }
+  return _revive(payload, indexByCode(registry));
+}
+
+function indexByCode(registry) {
+  const classes = new Map();
+  for (const Klass of Object.values(registry)) {
+    if (typeof Klass === "function" && typeof Klass.code === "string") {
+      classes.set(Klass.code, Klass);
+    }
+  }
+  return classes;
+}
+
+function isSerializedError(value) {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    typeof value.message === "string"
+  );
+}
+
+function _revive(payload, classes) {
+  if (!isSerializedError(payload)) return payload;
+  const opts =
+    "cause" in payload ? { cause: _revive(payload.cause, classes) } : undefined;
+  const Klass =
+    typeof payload.code === "string" ? classes.get(payload.code) : undefined;
+
+  let error;
+  if (Klass) {
+    const aggregate = aggregateClasses.has(Klass);
+    const errors =
+      aggregate && Array.isArray(payload.errors)
+        ? payload.errors.map((e) => _revive(e, classes))
+        : [];
+    // The message is already formatted, and comes from outside, so it must not
+    // be parsed as a template
+    revivingMessage = true;
+    try {
+      error = aggregate
+        ? new Klass(errors, payload.message, opts)
+        : new Klass(payload.message, opts);
+    } finally {
+      revivingMessage = false;
+    }
+    if (typeof payload.status === "number") error.status = payload.status;
+  } else {
+    // Unknown code or a plain error: rebuild a generic error that keeps the
+    // same shape, so it still duck-types as a custom error if it was one
+    error = Array.isArray(payload.errors)
+      ? new AggregateError(
+          payload.errors.map((e) => _revive(e, classes)),
+          payload.message,
+          opts,
+        )
+      : new Error(payload.message, opts);
+    if (typeof payload.name === "string") {
+      Object.defineProperty(error, "name", {
+        value: payload.name,
+        writable: true,
+        configurable: true,
+      });
+    }
+    if (typeof payload.code === "string") error.code = payload.code;
+    if (typeof payload.status === "number") error.status = payload.status;
+  }
+  if (typeof payload.params === "object" && payload.params !== null) {
+    error.params = Object.freeze({ ...payload.params });
+  }
+  if (typeof payload.stack === "string") error.stack = payload.stack;
+  return error;
+}
+
+const PROBLEM_MEMBERS = new Set([
+  "type",
+  "title",
+  "status",
+  "detail",
+  "instance",
+  "code",
+]);
+
+export function toProblemDetails(error, options = {}) {
+  const { baseURI = "", instance } = options;
+  if (!isCustomError(error)) {
+    const problem = {
+      type: "about:blank",
+      title: "Internal Server Error",
+      status: 500,
+    };
+    if (instance !== undefined) problem.instance = instance;
+    return problem;
+  }
+  const problem = {};
+  // Standard members are added after the params so they always win
+  if (typeof error.params === "object" && error.params !== null) {
+    for (const [key, value] of Object.entries(jsonParams(error))) {
+      if (!PROBLEM_MEMBERS.has(key)) problem[key] = value;
+    }
+  }
+  problem.type = baseURI + toKebabCase(error.code);
+  const { template } = error.constructor;
+  problem.title =
+    typeof template === "string" ? displayTemplate(template) : error.message;
+  problem.status = error.status;
+  problem.detail = error.message;
+  if (instance !== undefined) problem.instance = instance;
+  problem.code = error.code;
+  return problem;
+}
+
+export function fromProblemDetails(problem, registry, options = {}) {
+  if (typeof problem !== "object" || problem === null) {
+    throw new TypeError("Expected a Problem Details object");
+  }
+  const { baseURI = "" } = options;
+  let code = problem.code;
+  if (typeof code !== "string" && typeof problem.type === "string") {
+    const type = problem.type.startsWith(baseURI)
+      ? problem.type.slice(baseURI.length)
+      : problem.type;
+    code =
+      type === "about:blank"
+        ? undefined
+        : fromKebabCase(type.split(/[/:#]/).pop());
+  }
+  const params = {};
+  for (const key of Object.keys(problem)) {
+    if (!PROBLEM_MEMBERS.has(key)) params[key] = problem[key];
+  }
+  const message =
+    typeof problem.detail === "string" ? problem.detail : problem.title;
+  return _revive(
+    {
+      name: code ? toPascalCase(code) : "Error",
+      code,
+      status: problem.status,
+      message: typeof message === "string" ? message : "",
+      params,
+    },
+    indexByCode(registry),
+  );
+}
+
+// OpenAPI components for the bodies that `errorResponse` from
+// "custom-error-creator/http" sends for each class in the registry. Responses
+// are also grouped by status and by status range, e.g. "404" and "4XX".
+export function toOpenAPI(registry, options = {}) {
+  const { format = "json", baseURI = "", prefix = "", groups = true } = options;
+  const contentType =
+    format === "problem" ? "application/problem+json" : "application/json";
+  const schemas = {};
+  const responses = {};
+  const byStatus = new Map();
+  for (const Klass of indexByCode(registry).values()) {
+    const { code, status, template } = Klass;
+    // errorResponse sends errors without an HTTP status as internal errors
+    if (!Number.isInteger(status) || status < 100 || status > 599) continue;
+    const name = prefix + Klass.name;
+    const params = paramsSchema(compileTemplate(template));
+    schemas[name] =
+      format === "problem"
+        ? problemSchema(Klass, params, baseURI)
+        : errorBodySchema(Klass, params);
+    responses[name] = schemaResponse(template, contentType, [{ name, code }]);
+    if (!byStatus.has(status)) byStatus.set(status, []);
+    byStatus.get(status).push({ name, code });
+  }
+  if (groups) {
+    const byRange = new Map();
+    for (const status of [...byStatus.keys()].sort((a, b) => a - b)) {
+      const entries = byStatus.get(status);
+      responses[prefix + status] = schemaResponse(
+        entries.map((entry) => entry.code).join(", "),
+        contentType,
+        entries,
+      );
+      const range = `${Math.floor(status / 100)}XX`;
+      if (!byRange.has(range)) byRange.set(range, []);
+      byRange.get(range).push(...entries);
+    }
+    for (const [range, entries] of byRange) {
+      responses[prefix + range] = schemaResponse(
+        entries.map((entry) => entry.code).join(", "),
+        contentType,
+        entries,
+      );
+    }
+  }
+  return { components: { schemas, responses } };
+}
+
+// A response whose body is one of the schemas, told apart by `code`
+function schemaResponse(description, contentType, entries) {
+  const refs = entries.map(({ name }) => ({
+    $ref: `#/components/schemas/${name}`,
+  }));
+  const schema =
+    refs.length === 1
+      ? refs[0]
+      : {
+          oneOf: refs,
+          discriminator: {
+            propertyName: "code",
+            mapping: Object.fromEntries(
+              entries.map(({ code }, i) => [code, refs[i].$ref]),
+            ),
+          },
+        };
+  return { description, content: { [contentType]: { schema } } };
+}
+
+function literalSchema(type, value) {
+  return { type, enum: [value] };
+}
+
+function errorBodySchema(Klass, params) {
+  return {
+    type: "object",
+    required: ["name", "code", "status", "message"],
+    properties: {
+      name: literalSchema("string", Klass.name),
+      code: literalSchema("string", Klass.code),
+      status: literalSchema("integer", Klass.status),
+      message: { type: "string", example: Klass.template },
+      // Left out of 5xx responses unless they are exposed
+      params,
+    },
+  };
+}
+
+function problemSchema(Klass, params, baseURI) {
+  const properties = {};
+  // Params are members of the problem, except where they clash with the
+  // standard members
+  for (const [key, schema] of Object.entries(params.properties)) {
+    if (!PROBLEM_MEMBERS.has(key)) properties[key] = schema;
+  }
+  return {
+    type: "object",
+    required: ["type", "title", "status", "code"],
+    properties: {
+      ...properties,
+      type: literalSchema("string", baseURI + toKebabCase(Klass.code)),
+      title: literalSchema("string", displayTemplate(Klass.template)),
+      status: literalSchema("integer", Klass.status),
+      detail: { type: "string" },
+      instance: { type: "string" },
+      code: literalSchema("string", Klass.code),
+    },
+  };
+}
+
+// Object schema of the params a template uses, nesting paths like `user.id`
+function paramsSchema(nodes, schema = { type: "object", properties: {} }) {
+  for (const node of nodes) {
+    if (typeof node === "string") continue;
+    let parent = schema;
+    for (const key of node.path.slice(0, -1)) {
+      addRequired(parent, key);
+      parent.properties[key] ??= {};
+      // A path such as `user.id` makes `{user}` an object too
+      parent = parent.properties[key];
+      parent.type = "object";
+      parent.properties ??= {};
+    }
+    const key = node.path.at(-1);
+    addRequired(parent, key);
+    parent.properties[key] ??= paramSchema(node);
+    if (node.branches) {
+      for (const branch of node.branches.values()) paramsSchema(branch, schema);
+    }
+  }
+  return schema;
+}
+
+function addRequired(schema, key) {
+  schema.required ??= [];
+  if (!schema.required.includes(key)) schema.required.push(key);
+}
+
+function paramSchema(node) {
+  if (node.type === "plural" || node.format === "number") {
+    return { type: "number" };
+  }
+  if (node.format === "list") return { type: "array", items: {} };
+  return {};
+}
+
+// HTTP status to gRPC status code, following the mappings documented on
+// google.rpc.Code
+const GRPC_CODES = new Map([
+  [400, 3], // INVALID_ARGUMENT
+  [401, 16], // UNAUTHENTICATED
+  [403, 7], // PERMISSION_DENIED
+  [404, 5], // NOT_FOUND
+  [408, 4], // DEADLINE_EXCEEDED
+  [409, 10], // ABORTED
+  [412, 9], // FAILED_PRECONDITION
+  [416, 11], // OUT_OF_RANGE
+  [422, 3], // INVALID_ARGUMENT
+  [429, 8], // RESOURCE_EXHAUSTED
+  [499, 1], // CANCELLED
+  [500, 13], // INTERNAL
+  [501, 12], // UNIMPLEMENTED
+  [502, 14], // UNAVAILABLE
+  [503, 14], // UNAVAILABLE
+  [504, 4], // DEADLINE_EXCEEDED
+]);
+
+// gRPC status code to HTTP status, for errors with an unknown code
+const GRPC_STATUSES = [
+  200, 499, 500, 400, 504, 404, 409, 403, 429, 400, 409, 400, 501, 500, 503,
+  500, 401,
+];
+
+function grpcCodeFromStatus(status) {
+  if (GRPC_CODES.has(status)) return GRPC_CODES.get(status);
+  if (status >= 400 && status < 500) return 9; // FAILED_PRECONDITION
+  if (status >= 500 && status < 600) return 13; // INTERNAL
+  return 2; // UNKNOWN
+}
+
+// JSON-RPC 2.0 reserves -32700 to -32600 for protocol errors and -32099 to
+// -32000 for implementation-defined server errors
+function jsonRpcCodeFromStatus(status) {
+  if (status === 400 || status === 422) return -32602; // Invalid params
+  if (status === 500) return -32603; // Internal error
+  return -32000;
+}
+
+function statusFromJsonRpcCode(code) {
+  if (code === -32601) return 404;
+  if (code <= -32600 && code >= -32700) return 400;
+  return 500;
+}
+
+export function toGrpcStatus(error, options = {}) {
+  const metadata = options.metadata ?? {};
+  // grpc-js `Metadata` has a `set()` method; plain objects are assigned to
+  const set =
+    typeof metadata.set === "function"
+      ? (key, value) => metadata.set(key, value)
+      : (key, value) => (metadata[key] = value);
+  if (!isCustomError(error)) {
+    return { code: 13, details: "Internal error", metadata };
+  }
+  set("error-code", error.code);
+  if (typeof error.params === "object" && error.params !== null) {
+    set("error-params", JSON.stringify(jsonParams(error)));
+  }
+  return {
+    code: Number.isInteger(error.grpcCode)
+      ? error.grpcCode
+      : grpcCodeFromStatus(error.status),
+    details: error.message,
+    metadata,
+  };
+}
+
+function parseJSON(value) {
+  if (typeof value !== "string") return undefined;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+export function fromGrpcStatus(status, registry) {
+  if (typeof status !== "object" || status === null) {
+    throw new TypeError("Expected a gRPC status object");
+  }
+  const { metadata = {} } = status;
+  const get =
+    typeof metadata.get === "function"
+      ? (key) => metadata.get(key)[0]
+      : (key) => metadata[key];
+  const code = get("error-code");
+  const classes = indexByCode(registry);
+  const error = _revive(
+    {
+      name: typeof code === "string" ? toPascalCase(code) : "Error",
+      code,
+      // Known classes keep their own status
+      status: classes.get(code)?.status ?? GRPC_STATUSES[status.code] ?? 500,
+      message: typeof status.details === "string" ? status.details : "",
+      params: parseJSON(get("error-params")),
+    },
+    classes,
+  );
+  if (error.grpcCode === undefined) error.grpcCode = status.code;
+  return error;
+}
+
+export function toJsonRpcError(error) {
+  if (!isCustomError(error)) {
+    return { code: -32603, message: "Internal error" };
+  }
+  const data = { code: error.code };
+  if (typeof error.params === "object" && error.params !== null) {
+    data.params = error.params;
+  }
+  return {
+    code: Number.isInteger(error.jsonRpcCode)
+      ? error.jsonRpcCode
+      : jsonRpcCodeFromStatus(error.status),
+    message: error.message,
+    data,
+  };
+}
+
+export function fromJsonRpcError(error, registry) {
+  if (typeof error !== "object" || error === null) {
+    throw new TypeError("Expected a JSON-RPC error object");
+  }
+  const { code, params } = error.data ?? {};
+  const classes = indexByCode(registry);
+  const revived = _revive(
+    {
+      name: typeof code === "string" ? toPascalCase(code) : "Error",
+      code,
+      status: classes.get(code)?.status ?? statusFromJsonRpcCode(error.code),
+      message: typeof error.message === "string" ? error.message : "",
+      params,
+    },
+    classes,
+  );
+  if (revived.jsonRpcCode === undefined) revived.jsonRpcCode = error.code;
+  return revived;
+}
+
 export function isCustomError(error) {
   return (
     error instanceof Error &&
@@ -221,3 +1525,155 @@ export function isCustomError(error) {
     typeof error.status === "number"
   );
 }
+
+// What a generated class documents about itself, e.g. for an error catalog
+export function describeErrorClass(errorClass) {
+  const definition = definitions.get(errorClass);
+  if (!definition) {
+    throw new TypeError(
+      `${errorClass?.name ?? inspect(errorClass)} is not an error class created by custom-error-creator`,
+    );
+  }
+  return {
+    code: errorClass.code,
+    name: errorClass.name,
+    status: errorClass.status,
+    template: errorClass.template,
+    params: [...templateParamNames(errorClass.template)],
+    metadata: errorClass.metadata,
+  };
+}
+
+// Every error reachable from `error` through `cause` links and
+// `AggregateError.errors`, depth first and starting with `error` itself
+export function getCauseChain(error) {
+  const chain = [];
+  const seen = new Set();
+  const visit = (value) => {
+    if (value === undefined || seen.has(value)) return;
+    seen.add(value);
+    chain.push(value);
+    if (typeof value !== "object" || value === null) return;
+    visit(value.cause);
+    if (value instanceof AggregateError && Array.isArray(value.errors)) {
+      for (const member of value.errors) visit(member);
+    }
+  };
+  visit(error);
+  return chain;
+}
+
+// The end of the `cause` links of `error`, or `error` if it has no cause
+export function getRootCause(error) {
+  const seen = new Set([error]);
+  let current = error;
+  while (
+    typeof current === "object" &&
+    current !== null &&
+    current.cause !== undefined &&
+    !seen.has(current.cause)
+  ) {
+    current = current.cause;
+    seen.add(current);
+  }
+  return current;
+}
+
+// The first error in the chain of `error` that is an instance of the given
+// class, or that has the given code
+export function findCause(error, classOrCode) {
+  const matches =
+    typeof classOrCode === "string"
+      ? (value) => value instanceof Error && value.code === classOrCode
+      : (value) => value instanceof classOrCode;
+  return getCauseChain(error).find(matches);
+}
+
+export function hasCode(error, code) {
+  return findCause(error, code) !== undefined;
+}
+
+export function matchError(error, registry, handlers) {
+  for (const [key, Klass] of Object.entries(registry)) {
+    if (error instanceof Klass && typeof handlers[key] === "function") {
+      return handlers[key](error);
+    }
+  }
+  if (typeof handlers._ === "function") return handlers._(error);
+  // Errors without a handler are not ours to handle
+  throw error;
+}
+
+// Errors of the registry are returned as they are. Anything else is wrapped in
+// the fallback class if there is one, or rethrown.
+function toResultError(error, classes, fallback) {
+  // By class, as other registries can have classes with the same code
+  const Klass = isCustomError(error) ? classes.get(error.code) : undefined;
+  if (Klass && error instanceof Klass) return error;
+  // Passing no message works whether or not the class has template params
+  if (fallback) return new fallback(undefined, { cause: error });
+  throw error;
+}
+
+export function tryCatch(fn, registry, options = {}) {
+  const classes = indexByCode(registry);
+  try {
+    return { ok: true, value: fn() };
+  } catch (error) {
+    return {
+      ok: false,
+      error: toResultError(error, classes, options.fallback),
+    };
+  }
+}
+
+export async function tryCatchAsync(fn, registry, options = {}) {
+  const classes = indexByCode(registry);
+  try {
+    return { ok: true, value: await fn() };
+  } catch (error) {
+    return {
+      ok: false,
+      error: toResultError(error, classes, options.fallback),
+    };
+  }
+}
+
+function toPredicate(match) {
+  if (typeof match === "string") {
+    return (error) =>
+      typeof error === "object" && error !== null && error.code === match;
+  }
+  if (match === Error || match.prototype instanceof Error) {
+    return (error) => error instanceof match;
+  }
+  return match;
+}
+
+// Returns `fn` with thrown errors and rejections converted by the first
+// matching rule. The original error becomes the `cause`.
+export function wrapErrors(fn, rules) {
+  const matchers = rules.map((rule) => ({
+    ...rule,
+    matches: toPredicate(rule.match),
+  }));
+  const convert = (error) => {
+    const rule = matchers.find(({ matches }) => matches(error));
+    if (!rule) return error;
+    return new rule.to(rule.params?.(error) ?? {}, { cause: error });
+  };
+  return function (...args) {
+    let result;
+    try {
+      result = fn.apply(this, args);
+    } catch (error) {
+      throw convert(error);
+    }
+    if (typeof result?.then === "function") {
+      return result.then(undefined, (error) => {
+        throw convert(error);
+      });
+    }
+    return result;
+  };
+}
@@ -1,11 +1,56 @@
-import { expectType, expectError, expectAssignable } from "tsd";
 import {
+  expectType,
+  expectError,
+  expectAssignable,
+  expectNotAssignable,
+} from "tsd";
+import {
+  configure,
+  createAggregateErrorClass,
+  createErrorCategory,
   createErrorClass,
   createErrorClassesByCode,
   createErrorClassesByName,
+  describeErrorClass,
+  fromGrpcStatus,
+  fromJSON,
+  fromJsonRpcError,
+  formatMessage,
+  fromProblemDetails,
+  findCause,
+  getCauseChain,
+  getRootCause,
+  hasCode,
   isCustomError,
+  matchError,
+  registerMessages,
+  serializeError,
+  serializeForLog,
+  toGrpcStatus,
+  toJsonRpcError,
+  toOpenAPI,
+  toProblemDetails,
+  tryCatch,
+  tryCatchAsync,
+  wrapErrors,
+  type LogRecord,
+  type LogValue,
+  type OpenAPIResponse,
+  type OpenAPISchema,
+  type ProblemDetails,
+  type RegistryError,
   type ErrorDefinition,
+  type SerializedError,
 } from "./index.js";
+import {
+  InternalServerError as HttpInternalServerError,
+  errorResponse,
+  expressErrorHandler,
+  fastifyErrorHandler,
+  koaErrorHandler,
+  sendError,
+  type ResponseLike,
+} from "./http.js";
 
 // ──────────────────────────────────────────────
 // createErrorClass — with template parameters
@@ -23,6 +68,7 @@ expectType<"NOT_FOUND">(nf1.code);
 expectType<404>(nf1.status);
 expectType<"NotFound">(nf1.name);
 expectType<string>(nf1.message);
+expectType<Readonly<Record<"resource", unknown>>>(nf1.params);
 expectAssignable<Error>(nf1);
 
 // Params with cause option
@@ -33,6 +79,7 @@ new NotFound("Custom message");
 new NotFound("{thing} gone", { thing: "Widget" });
 new NotFound("Gone", { cause: new Error() });
 new NotFound("{x} gone", { x: "y" }, { cause: new Error() });
+expectType<Readonly<Record<string, unknown>>>(new NotFound("Custom").params);
 
 // Missing params — should error
 expectError(new NotFound());
@@ -56,6 +103,7 @@ const ua1 = new Unauthorized();
 expectType<"UNAUTHORIZED">(ua1.code);
 expectType<401>(ua1.status);
 expectType<"Unauthorized">(ua1.name);
+expectType<Readonly<Record<string, unknown>>>(ua1.params);
 expectAssignable<Error>(ua1);
 
 new Unauthorized("Custom message");
@@ -98,6 +146,10 @@ expectType<401>(e2.status);
 expectType<"Unauthorized">(e2.name);
 
 const e3 = new errors.VALIDATION_ERROR({ field: "email", reason: "too short" });
+expectType<unknown>(e3.params.field);
+expectError(e3.params.typo);
+// Params are read-only
+expectError((e3.params.field = "name"));
 expectType<"VALIDATION_ERROR">(e3.code);
 expectType<400>(e3.status);
 expectType<"ValidationError">(e3.name);
@@ -161,6 +213,11 @@ if (isCustomError(unknownErr)) {
   expectType<string>(unknownErr.code);
   expectType<number>(unknownErr.status);
   expectAssignable<Error>(unknownErr);
+  expectType<Readonly<Record<string, unknown>> | undefined>(unknownErr.params);
+  expectType<unknown>(unknownErr.retryable);
+  // Errors revived from unknown codes have no methods of generated classes
+  expectError(unknownErr.localize("de"));
+  expectError(unknownErr.revealParams());
 }
 
 // ──────────────────────────────────────────────
@@ -239,6 +296,8 @@ expectError(
 
 expectType<"NOT_FOUND">(NotFound.code);
 expectType<"NotFound">(NotFound.name);
+expectType<404>(NotFound.status);
+expectType<"Resource {resource} not found">(NotFound.template);
 
 // ──────────────────────────────────────────────
 // ErrorOpts as first parameter (no-param errors)
@@ -301,3 +360,797 @@ new MixedParam({ name: "Alice", count: "many" });
 
 // Custom message with non-string params
 new NumParam("custom {val}", { val: 99 });
+
+// ──────────────────────────────────────────────
+// JSON serialization
+// ──────────────────────────────────────────────
+
+const json = new NotFound({ resource: "User" }).toJSON();
+expectType<"NOT_FOUND">(json.code);
+expectType<404>(json.status);
+expectType<"NotFound">(json.name);
+expectType<Record<string, unknown>>(json.params);
+expectAssignable<SerializedError>(json);
+new NotFound({ resource: "User" }).toJSON({ stack: true });
+
+expectType<SerializedError>(serializeError(new Error("plain")));
+expectType<unknown>(serializeError("not an error" as unknown));
+
+// ──────────────────────────────────────────────
+// Reviving serialized errors
+// ──────────────────────────────────────────────
+
+const revived = fromJSON(json, errors);
+expectType<
+  | InstanceType<(typeof errors)["NOT_FOUND"]>
+  | InstanceType<(typeof errors)["UNAUTHORIZED"]>
+  | InstanceType<(typeof errors)["VALIDATION_ERROR"]>
+  | Error
+>(revived);
+expectAssignable<Error>(revived);
+if (revived instanceof errors.NOT_FOUND) {
+  expectType<"NOT_FOUND">(revived.code);
+  expectType<404>(revived.status);
+}
+if (revived instanceof errors.VALIDATION_ERROR) {
+  expectType<unknown>(revived.params.field);
+}
+
+// ──────────────────────────────────────────────
+// Problem Details
+// ──────────────────────────────────────────────
+
+const problem = toProblemDetails(new NotFound({ resource: "User" }), {
+  baseURI: "https://example.com/problems/",
+});
+expectType<"NOT_FOUND">(problem.code);
+expectType<404>(problem.status);
+expectType<`${string}not-found`>(problem.type);
+expectAssignable<ProblemDetails>(problem);
+expectType<ProblemDetails>(toProblemDetails(new Error("plain")));
+
+const fromProblem = fromProblemDetails(problem, errors);
+expectAssignable<Error>(fromProblem);
+
+// ──────────────────────────────────────────────
+// Class hierarchies
+// ──────────────────────────────────────────────
+
+const AppError = createErrorCategory({ name: "AppError" });
+const ClientError = createErrorCategory({
+  name: "ClientError",
+  parent: AppError,
+});
+const ServerError = createErrorCategory({
+  name: "ServerError",
+  parent: AppError,
+});
+
+expectType<"ClientError">(ClientError.name);
+// Categories are abstract, so they cannot be constructed
+expectNotAssignable<new (...args: any[]) => unknown>(ClientError);
+
+const Gone = createErrorClass({
+  code: "GONE",
+  message: "{resource} is gone",
+  status: 410,
+  parent: ClientError,
+});
+
+const gone = new Gone({ resource: "User" });
+expectType<"GONE">(gone.code);
+expectType<410>(gone.status);
+expectType<"Gone">(gone.name);
+expectType<Readonly<Record<"resource", unknown>>>(gone.params);
+expectAssignable<InstanceType<typeof ClientError>>(gone);
+expectAssignable<InstanceType<typeof AppError>>(gone);
+expectNotAssignable<InstanceType<typeof ServerError>>(gone);
+
+const caught: unknown = gone;
+if (caught instanceof ClientError) {
+  expectAssignable<Error>(caught);
+}
+
+const hierarchy = createErrorClassesByCode([
+  { code: "GONE", message: "Gone", status: 410, parent: ClientError },
+  { code: "DOWN", message: "Down", status: 503, parent: ServerError },
+]);
+expectAssignable<InstanceType<typeof ServerError>>(new hierarchy.DOWN());
+
+// Only categories can be parents
+expectError(
+  createErrorClass({
+    code: "BAD_PARENT",
+    message: "Bad",
+    status: 500,
+    parent: Gone,
+  }),
+);
+expectError(createErrorCategory({ name: "Bad", parent: Gone }));
+
+// ──────────────────────────────────────────────
+// Localized messages
+// ──────────────────────────────────────────────
+
+registerMessages(errors, {
+  de: {
+    NOT_FOUND: "Ressource {resource} nicht gefunden",
+    VALIDATION_ERROR: "{field} ist ungültig: {reason}",
+  },
+  fr: { UNAUTHORIZED: "Accès refusé" },
+});
+
+// Templates must use exactly the params of the default template
+expectError(
+  registerMessages(errors, { de: { NOT_FOUND: "Ressource nicht gefunden" } }),
+);
+expectError(
+  registerMessages(errors, {
+    de: { NOT_FOUND: "Ressource {name} nicht gefunden" },
+  }),
+);
+expectError(
+  registerMessages(errors, {
+    de: { NOT_FOUND: "{resource} {extra} nicht gefunden" },
+  }),
+);
+// Unknown codes are rejected
+expectError(registerMessages(errors, { de: { MISSING: "Fehlt" } }));
+
+expectType<string>(new errors.NOT_FOUND({ resource: "User" }).localize("de"));
+expectType<string>(e1.localize(["de-CH", "en"]));
+expectType<string>(formatMessage(e1, "de"));
+
+// ──────────────────────────────────────────────
+// Format specifiers and plural/select
+// ──────────────────────────────────────────────
+
+const Formatted = createErrorClass({
+  code: "FORMATTED",
+  message: "{count:number} rows since {when:date}: {fields:list} ({name})",
+  status: 400,
+});
+
+const formatted = new Formatted({
+  count: 3,
+  when: new Date(),
+  fields: ["a", "b"],
+  name: "x",
+});
+expectType<number | bigint>(formatted.params.count);
+expectType<Date | number>(formatted.params.when);
+expectType<ReadonlyArray<unknown> | ReadonlySet<unknown>>(
+  formatted.params.fields,
+);
+expectType<unknown>(formatted.params.name);
+
+new Formatted({ count: 3n, when: Date.now(), fields: new Set([1]), name: 1 });
+// Wrong value types are rejected
+expectError(
+  new Formatted({ count: "3", when: new Date(), fields: [], name: "x" }),
+);
+expectError(
+  new Formatted({ count: 3, when: "2024-01-01", fields: [], name: "x" }),
+);
+expectError(
+  new Formatted({ count: 3, when: new Date(), fields: "a, b", name: "x" }),
+);
+
+const Plural = createErrorClass({
+  code: "PLURAL",
+  message:
+    "{count, plural, =0 {No files} one {# file in {dir}} other {# files}} for {role, select, admin {admins} other {user {user}}}",
+  status: 400,
+});
+
+const plural = new Plural({
+  count: 1,
+  dir: "/tmp",
+  role: "admin",
+  user: "bob",
+});
+expectType<number>(plural.params.count);
+expectType<unknown>(plural.params.dir);
+expectType<string>(plural.params.role);
+expectType<unknown>(plural.params.user);
+// Branch text is not a param
+expectError(plural.params.file);
+expectError(new Plural({ count: "1", dir: "/tmp", role: "admin", user: "b" }));
+expectError(new Plural({ count: 1, role: "admin", user: "bob" }));
+
+// Braces that are not placeholders are not params
+const NotAPlaceholder = createErrorClass({
+  code: "NOT_A_PLACEHOLDER",
+  message: "Expected { a b } near {token}",
+  status: 400,
+});
+new NotAPlaceholder({ token: "x" });
+
+// ──────────────────────────────────────────────
+// Nested placeholder paths
+// ──────────────────────────────────────────────
+
+const Nested = createErrorClass({
+  code: "NESTED",
+  message:
+    "User {user.id} ({user.name}) cannot order {order.items.length} items: {order.total:number}",
+  status: 403,
+});
+
+const nested = new Nested({
+  user: { id: 1, name: "Alice" },
+  order: { items: ["a", "b"], total: 10 },
+});
+expectType<unknown>(nested.params.user.id);
+expectType<unknown>(nested.params.order.items.length);
+expectType<number | bigint>(nested.params.order.total);
+
+// Nested shapes are checked
+expectError(new Nested({ user: { id: 1 }, order: { items: [], total: 1 } }));
+expectError(new Nested({ user: 1, order: { items: [], total: 1 } }));
+expectError(
+  new Nested({ user: { id: 1, name: "A" }, order: { items: [], total: "1" } }),
+);
+
+// `cause` is reserved as the first segment of a path
+expectError(
+  createErrorClass({
+    code: "BAD",
+    message: "Failed because {cause.message}",
+    status: 500,
+  }),
+);
+createErrorClass({
+  code: "OK",
+  message: "Failed because {result.cause}",
+  status: 500,
+});
+
+// Localized templates must use the same paths
+const nestedErrors = createErrorClassesByCode([
+  { code: "NESTED", message: "User {user.id}", status: 400 },
+]);
+registerMessages(nestedErrors, { de: { NESTED: "Benutzer {user.id}" } });
+expectError(
+  registerMessages(nestedErrors, { de: { NESTED: "Benutzer {user.name}" } }),
+);
+
+// ──────────────────────────────────────────────
+// Brace escaping
+// ──────────────────────────────────────────────
+
+const Escaped = createErrorClass({
+  code: "ESCAPED",
+  message: 'Expected {{"id": {id}}} in {{config.{key}}}',
+  status: 400,
+});
+const escaped = new Escaped({ id: 1, key: "port" });
+expectType<Readonly<{ id: unknown; key: unknown }>>(escaped.params);
+expectError(escaped.params.config);
+
+// Escaped placeholders are not params
+const EscapedOnly = createErrorClass({
+  code: "ESCAPED_ONLY",
+  message: "Use {{name}} or {{{{double}}}}",
+  status: 400,
+});
+new EscapedOnly();
+expectError(new EscapedOnly({ name: "x" }));
+
+// {{cause}} is not a reserved param
+createErrorClass({
+  code: "ESCAPED_CAUSE",
+  message: "Templates cannot use {{cause}}",
+  status: 500,
+});
+
+// {{ inside a plural branch
+const EscapedPlural = createErrorClass({
+  code: "ESCAPED_PLURAL",
+  message: "{n, plural, one {{{# key {k}} other {{{# keys}}",
+  status: 400,
+});
+new EscapedPlural({ n: 1, k: "a" });
+expectError(new EscapedPlural({ n: 1 }));
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Inspect options
+// ──────────────────────────────────────────────────────────────────────────────
+
+class Money {
+  constructor(
+    readonly amount: number,
+    readonly currency: string,
+  ) {}
+}
+
+configure({ inspect: { maxItems: 10, depth: 2 } });
+configure({
+  inspect: {
+    formatters: [
+      { type: Money, format: (m: Money) => `${m.amount} ${m.currency}` },
+    ],
+  },
+});
+// Limits are numbers
+expectError(configure({ inspect: { maxItems: "10" } }));
+
+const Charge = createErrorClass({
+  code: "CHARGE_FAILED",
+  message: "Cannot charge {price}",
+  status: 402,
+  inspect: { maxString: 20, formatters: [{ type: Money, format: String }] },
+});
+expectType<"CHARGE_FAILED">(new Charge({ price: new Money(1, "EUR") }).code);
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Sensitive params
+// ──────────────────────────────────────────────────────────────────────────────
+
+const LoginFailed = createErrorClass({
+  code: "LOGIN_FAILED",
+  message: "Login failed for {email} with {token}",
+  status: 401,
+  sensitive: ["token"],
+});
+const loginErr = new LoginFailed({ email: "a@example.com", token: "s3cr3t" });
+expectType<unknown>(loginErr.params.email);
+expectType<"[REDACTED]">(loginErr.params.token);
+expectType<unknown>(loginErr.revealParams().token);
+
+configure({ redact: { keys: ["password", /token/i] } });
+// Keys are strings or RegExps
+expectError(configure({ redact: { keys: [1] } }));
+
+// ──────────────────────────────────────────────────────────────────────────────
+// HTTP error handling
+// ──────────────────────────────────────────────────────────────────────────────
+
+const Unexpected = createErrorClass({
+  code: "UNEXPECTED",
+  message: "Something went wrong",
+  status: 500,
+});
+const httpResponse = errorResponse(new Error("boom"), {
+  format: "problem",
+  expose: false,
+  internalError: Unexpected,
+});
+if (httpResponse.contentType === "application/problem+json") {
+  expectType<ProblemDetails>(httpResponse.body);
+} else {
+  expectType<string>(httpResponse.body.message);
+}
+expectType<"INTERNAL_SERVER_ERROR">(new HttpInternalServerError().code);
+expectError(errorResponse(new Error("boom"), { format: "xml" }));
+// Internal error classes are constructed with only `{ cause }`
+expectError(errorResponse(new Error("boom"), { internalError: NotFound }));
+
+declare const res: ResponseLike;
+sendError(res, new Error("boom"), { format: "json" });
+expressErrorHandler()(new Error("boom"), {}, res, () => {});
+expectType<Promise<void>>(
+  koaErrorHandler()(
+    { status: 200, type: "", body: null, app: { emit: () => true } },
+    async () => {},
+  ),
+);
+fastifyErrorHandler()(
+  new Error("boom"),
+  {},
+  {
+    code() {
+      return this;
+    },
+    type() {
+      return this;
+    },
+    send() {},
+  },
+);
+
+// ──────────────────────────────────────────────────────────────────────────────
+// gRPC and JSON-RPC codes
+// ──────────────────────────────────────────────────────────────────────────────
+
+expectType<5>(NotFound.grpcCode);
+expectType<-32000>(NotFound.jsonRpcCode);
+expectType<5>(new NotFound({ resource: "User" }).grpcCode);
+
+const InvalidInput = createErrorClass({
+  code: "INVALID_INPUT",
+  message: "Invalid input",
+  status: 422,
+});
+expectType<3>(InvalidInput.grpcCode);
+expectType<-32602>(InvalidInput.jsonRpcCode);
+
+const Expired = createErrorClass({
+  code: "EXPIRED",
+  message: "Expired",
+  status: 410,
+});
+expectType<9>(Expired.grpcCode);
+
+const AlreadyExists = createErrorClass({
+  code: "ALREADY_EXISTS",
+  message: "Already exists",
+  status: 409,
+  grpcCode: 6,
+  jsonRpcCode: -32010,
+});
+expectType<6>(new AlreadyExists().grpcCode);
+expectType<-32010>(AlreadyExists.jsonRpcCode);
+
+const grpcStatus = toGrpcStatus(new NotFound({ resource: "User" }));
+expectType<number>(grpcStatus.code);
+expectType<Record<string, string>>(grpcStatus.metadata);
+declare const grpcMetadata: {
+  set(key: string, value: string): void;
+  get(key: string): string[];
+};
+expectType<typeof grpcMetadata>(
+  toGrpcStatus(new Error("boom"), { metadata: grpcMetadata }).metadata,
+);
+expectAssignable<Error>(
+  fromGrpcStatus({ code: 5, details: "gone", metadata: grpcMetadata }, errors),
+);
+
+const rpcError = toJsonRpcError(new NotFound({ resource: "User" }));
+expectType<number>(rpcError.code);
+expectAssignable<Error>(fromJsonRpcError(rpcError, errors));
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Metadata
+// ──────────────────────────────────────────────────────────────────────────────
+
+const ServiceUnavailable = createErrorClass({
+  code: "SERVICE_UNAVAILABLE",
+  message: "Service unavailable",
+  status: 503,
+  retryable: true,
+  severity: "warning",
+});
+expectType<true>(ServiceUnavailable.retryable);
+expectType<"warning">(ServiceUnavailable.severity);
+expectType<{ readonly retryable: true; readonly severity: "warning" }>(
+  ServiceUnavailable.metadata,
+);
+const unavailable = new ServiceUnavailable();
+expectType<true>(unavailable.retryable);
+expectType<"warning">(unavailable.severity);
+
+// Definitions without extra keys have no metadata members
+expectError(NotFound.retryable);
+expectType<{}>(NotFound.metadata);
+
+const withMetadata = createErrorClassesByCode([
+  { code: "TIMEOUT", message: "Timed out", status: 504, retryable: true },
+  { code: "BAD_INPUT", message: "Bad input", status: 400, retryable: false },
+]);
+expectType<true>(withMetadata.TIMEOUT.retryable);
+expectType<false>(new withMetadata.BAD_INPUT().retryable);
+
+expectError(
+  createErrorClass({ code: "BAD", message: "x", status: 500, name: "Bad" }),
+);
+expectError(
+  createErrorClass({ code: "BAD", message: "x", status: 500, params: {} }),
+);
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Definition validation
+// ──────────────────────────────────────────────────────────────────────────────
+
+expectError(createErrorClass({ code: "not-found", message: "x", status: 404 }));
+expectError(createErrorClass({ code: "NotFound", message: "x", status: 404 }));
+expectError(
+  createErrorClass({ code: "NOT__FOUND", message: "x", status: 404 }),
+);
+expectError(
+  createErrorClass({ code: "NOT_FOUND_", message: "x", status: 404 }),
+);
+expectType<"HTTP_2_ERROR">(
+  createErrorClass({ code: "HTTP_2_ERROR", message: "x", status: 500 }).code,
+);
+
+expectError(createErrorClass({ code: "ODD", message: "x", status: 42 }));
+expectError(createErrorClass({ code: "ODD", message: "x", status: 600 }));
+expectError(createErrorClass({ code: "ODD", message: "x", status: 404.5 }));
+expectType<28>(
+  createErrorClass({ code: "DISK_FULL", message: "x", status: 28, http: false })
+    .status,
+);
+
+// Non-literal codes and statuses are only checked at runtime
+declare const anyCode: string;
+declare const anyStatus: number;
+createErrorClass({ code: anyCode, message: "x", status: anyStatus });
+
+expectError(
+  createErrorClassesByCode([
+    { code: "NOT_FOUND", message: "a", status: 404 },
+    { code: "NOT_FOUND", message: "b", status: 404 },
+  ]),
+);
+expectError(
+  createErrorClassesByName([
+    { code: "HTTP_2", message: "a", status: 500 },
+    { code: "HTTP2", message: "b", status: 500 },
+  ]),
+);
+expectError(
+  createErrorClassesByCode([
+    { code: "NOT_FOUND", message: "a", status: 404 },
+    { code: "bad-code", message: "b", status: 400 },
+  ]),
+);
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Cause chain helpers
+// ──────────────────────────────────────────────────────────────────────────────
+
+declare const thrown: unknown;
+expectType<unknown[]>(getCauseChain(thrown));
+expectType<unknown>(getRootCause(thrown));
+expectType<boolean>(hasCode(thrown, "NOT_FOUND"));
+
+const foundByClass = findCause(thrown, errors.NOT_FOUND);
+if (foundByClass) {
+  expectType<"NOT_FOUND">(foundByClass.code);
+  expectType<Readonly<{ resource: unknown }>>(foundByClass.params);
+}
+const foundByCode = findCause(thrown, "NOT_FOUND");
+if (foundByCode) {
+  expectType<"NOT_FOUND">(foundByCode.code);
+  expectAssignable<Error>(foundByCode);
+}
+const foundCategory = findCause(thrown, AppError);
+expectAssignable<Error | undefined>(foundCategory);
+expectError(findCause(thrown, 404));
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Aggregate error classes
+// ──────────────────────────────────────────────────────────────────────────────
+
+const BulkFailed = createAggregateErrorClass(
+  {
+    code: "BULK_FAILED",
+    message: "{count} of {total} operations failed",
+    status: 422,
+  },
+  errors,
+);
+const bulk = new BulkFailed([new errors.NOT_FOUND({ resource: "User" })], {
+  count: 1,
+  total: 3,
+});
+expectType<"BULK_FAILED">(bulk.code);
+expectType<422>(BulkFailed.status);
+expectType<Readonly<{ count: unknown; total: unknown }>>(bulk.params);
+expectType<RegistryError<typeof errors>[]>(bulk.errors);
+expectAssignable<Error>(bulk.errors[0]);
+new BulkFailed([], "Import failed");
+expectError(new BulkFailed([], { count: 1 }));
+expectError(new BulkFailed([new Error("plain")], { count: 1, total: 1 }));
+expectError(new BulkFailed({ count: 1, total: 1 }));
+
+const AllFailed = createAggregateErrorClass({
+  code: "ALL_FAILED",
+  message: "All operations failed",
+  status: 500,
+});
+const allFailed = new AllFailed(new Set([new Error("a")]), {
+  cause: new Error("b"),
+});
+expectType<Error[]>(allFailed.errors);
+expectType<"ALL_FAILED">(allFailed.code);
+expectAssignable<AggregateError>(allFailed);
+
+expectError(
+  createAggregateErrorClass({
+    code: "BULK",
+    message: "x",
+    status: 500,
+    parent: AppError,
+  }),
+);
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Pattern matching
+// ──────────────────────────────────────────────────────────────────────────────
+
+const matchRegistry = createErrorClassesByCode([
+  { code: "NOT_FOUND", message: "Resource {resource} not found", status: 404 },
+  { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
+]);
+
+const matched = matchError(thrown, matchRegistry, {
+  NOT_FOUND: (err) => {
+    expectType<"NOT_FOUND">(err.code);
+    expectType<404>(err.status);
+    expectType<Readonly<{ resource: unknown }>>(err.params);
+    return 404 as const;
+  },
+  UNAUTHORIZED: (err) => {
+    expectType<"UNAUTHORIZED">(err.code);
+    return "denied" as const;
+  },
+});
+expectType<404 | "denied">(matched);
+
+// Missing cases are errors unless there is a default
+expectError(matchError(thrown, matchRegistry, { NOT_FOUND: () => 404 }));
+const withDefault = matchError(thrown, matchRegistry, {
+  NOT_FOUND: () => 404,
+  _: (err) => {
+    expectType<unknown>(err);
+    return null;
+  },
+});
+expectType<number | null>(withDefault);
+
+// Keys come from the registry
+expectError(
+  matchError(thrown, matchRegistry, {
+    NOT_FOUND: () => 1,
+    GONE: () => 2,
+    _: () => 3,
+  }),
+);
+
+const matchByName = createErrorClassesByName([
+  { code: "NOT_FOUND", message: "Not found", status: 404 },
+]);
+expectType<404>(
+  matchError(thrown, matchByName, { NotFound: (err) => err.status }),
+);
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Result wrappers
+// ──────────────────────────────────────────────────────────────────────────────
+
+const result = tryCatch(() => 42, errors);
+if (result.ok) {
+  expectType<number>(result.value);
+} else {
+  expectType<RegistryError<typeof errors>>(result.error);
+  if (result.error.code === "NOT_FOUND") {
+    expectType<Readonly<{ resource: unknown }>>(result.error.params);
+  }
+}
+
+const withFallback = tryCatch(() => "value", errors, { fallback: Unexpected });
+if (!withFallback.ok) {
+  expectType<RegistryError<typeof errors> | InstanceType<typeof Unexpected>>(
+    withFallback.error,
+  );
+}
+// Fallback classes are constructed with only `{ cause }`
+expectError(tryCatch(() => 1, errors, { fallback: NotFound }));
+
+const asyncResult = await tryCatchAsync(async () => "value", errors);
+if (asyncResult.ok) {
+  expectType<string>(asyncResult.value);
+} else {
+  expectType<RegistryError<typeof errors>>(asyncResult.error);
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Wrapping foreign errors
+// ──────────────────────────────────────────────────────────────────────────────
+
+class DriverError extends Error {
+  table = "users";
+}
+const FileNotFound = createErrorClass({
+  code: "FILE_NOT_FOUND",
+  message: "File {path} not found",
+  status: 404,
+});
+
+const readFile = async (path: string) => path.length;
+const wrappedRead = wrapErrors(readFile, [
+  {
+    match: "ENOENT",
+    to: FileNotFound,
+    params: (err) => {
+      expectType<"ENOENT">(err.code);
+      return { path: err.message };
+    },
+  },
+  {
+    match: DriverError,
+    to: Unexpected,
+    params: (err) => {
+      expectType<string>(err.table);
+      return {};
+    },
+  },
+  {
+    match: (err: unknown): err is RangeError => err instanceof RangeError,
+    to: Unexpected,
+    params: (err) => {
+      expectType<RangeError>(err);
+      return {};
+    },
+  },
+  { match: (err) => err instanceof TypeError, to: Unexpected },
+]);
+expectType<typeof readFile>(wrappedRead);
+expectError(wrapErrors(readFile, [{ match: 404, to: Unexpected }]));
+// Classes with params need a params rule
+expectError(wrapErrors(readFile, [{ match: "ENOENT", to: FileNotFound }]));
+
+expectType<() => number>(Unexpected.wrap(() => 1));
+expectType<typeof readFile>(
+  FileNotFound.wrap(readFile, {
+    match: "ENOENT",
+    params: (err) => ({ path: err.code }),
+  }),
+);
+// Classes with params need a params option
+expectError(FileNotFound.wrap(readFile));
+expectError(FileNotFound.wrap(readFile, { params: () => ({ file: "x" }) }));
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Stack modes
+// ──────────────────────────────────────────────────────────────────────────────
+
+const Backtrack = createErrorClass({
+  code: "BACKTRACK",
+  message: "No match at {offset}",
+  status: 400,
+  stack: "none",
+});
+expectType<unknown>(new Backtrack({ offset: 1 }).params.offset);
+expectType<400>(Backtrack.status);
+configure({ stack: "none" });
+configure({ stack: "lazy" });
+expectError(configure({ stack: "off" }));
+expectError(
+  createErrorClass({ code: "BAD", message: "x", status: 500, stack: "off" }),
+);
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Log serialization
+// ──────────────────────────────────────────────────────────────────────────────
+
+const logRecord = serializeForLog(new NotFound({ resource: "User" }));
+expectType<string>(logRecord.type);
+expectType<string | undefined>(logRecord.code);
+expectType<Record<string, LogValue> | undefined>(logRecord.params);
+expectType<LogRecord | LogValue | undefined>(logRecord.cause);
+expectType<unknown>(serializeForLog(thrown, { stack: false, depth: 2 }));
+expectError(serializeForLog(new Error(), { depth: "2" }));
+
+// Usable as a pino serializer
+const serializers: { err: (err: Error) => unknown } = { err: serializeForLog };
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Describing classes
+// ──────────────────────────────────────────────────────────────────────────────
+
+const description = describeErrorClass(NotFound);
+expectType<string[]>(description.params);
+expectType<Readonly<Record<string, unknown>>>(description.metadata);
+describeErrorClass(BulkFailed);
+expectError(describeErrorClass({ code: "NOT_FOUND" }));
+
+// ──────────────────────────────────────────────────────────────────────────────
+// OpenAPI
+// ──────────────────────────────────────────────────────────────────────────────
+
+const openAPI = toOpenAPI(errors);
+expectType<OpenAPISchema>(openAPI.components.schemas.NotFound);
+expectType<OpenAPIResponse>(openAPI.components.responses.Unauthorized);
+expectType<OpenAPIResponse | undefined>(openAPI.components.responses["4XX"]);
+expectType<OpenAPIResponse | undefined>(openAPI.components.responses["404"]);
+expectError(openAPI.components.schemas.Typo);
+// No class has a 5xx status
+expectNotAssignable<keyof typeof openAPI.components.responses>("5XX");
+
+const prefixed = toOpenAPI(errors, { prefix: "Users", format: "problem" });
+expectType<OpenAPISchema>(prefixed.components.schemas.UsersNotFound);
+expectType<OpenAPIResponse | undefined>(prefixed.components.responses.Users4XX);
+expectError(toOpenAPI(errors, { format: "xml" }));
@@ -0,0 +1,95 @@
+import { after, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const cli = fileURLToPath(new URL("../cli.js", import.meta.url));
+const fixture = fileURLToPath(new URL("fixtures/errors.js", import.meta.url));
+
+// Resolves with the exit code and output instead of rejecting on failure
+function run(...args) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [cli, ...args], (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe("custom-error-creator CLI", () => {
+  const dirs = [];
+  after(() =>
+    Promise.all(dirs.map((dir) => rm(dir, { recursive: true, force: true }))),
+  );
+  async function tempFile(name) {
+    const dir = await mkdtemp(join(tmpdir(), "catalog-"));
+    dirs.push(dir);
+    return join(dir, name);
+  }
+
+  it("writes a Markdown catalog to stdout", async () => {
+    const { code, stdout } = await run(fixture);
+    assert.equal(code, 0);
+    assert.equal(
+      stdout,
+      [
+        "| Code | Name | Status | Message | Params | Metadata |",
+        "| --- | --- | --- | --- | --- | --- |",
+        "| `NOT_FOUND` | NotFound | 404 | `Resource {resource} not found` | `resource` |  |",
+        "| `PIPE_ERROR` | PipeError | 400 | `Bad \\| value <{value}>` | `value` |  |",
+        "| `RATE_LIMITED` | RateLimited | 429 | `Retry in {seconds, plural, one {# second} other {# seconds}}` | `seconds` | retryable: true |",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  it("writes a JSON catalog", async () => {
+    const { stdout } = await run(fixture, "--format", "json");
+    assert.deepEqual(JSON.parse(stdout)[2], {
+      code: "RATE_LIMITED",
+      name: "RateLimited",
+      status: 429,
+      template: "Retry in {seconds, plural, one {# second} other {# seconds}}",
+      params: ["seconds"],
+      metadata: { retryable: true },
+    });
+  });
+
+  it("escapes HTML catalogs", async () => {
+    const { stdout } = await run(fixture, "-f", "html");
+    assert.ok(stdout.startsWith("<!doctype html>"));
+    assert.ok(stdout.includes("<code>Bad | value &lt;{value}&gt;</code>"));
+  });
+
+  it("picks the format from the extension of --out", async () => {
+    const out = await tempFile("errors.json");
+    const { code } = await run(fixture, "--out", out);
+    assert.equal(code, 0);
+    assert.equal(JSON.parse(await readFile(out, "utf8")).length, 3);
+  });
+
+  it("checks that the catalog is up to date", async () => {
+    const out = await tempFile("errors.md");
+    await run(fixture, "--out", out);
+    assert.equal((await run(fixture, "--out", out, "--check")).code, 0);
+
+    await writeFile(out, "stale");
+    const { code, stderr } = await run(fixture, "--out", out, "--check");
+    assert.equal(code, 1);
+    assert.match(stderr, /errors\.md is out of date/);
+  });
+
+  it("fails when the catalog does not exist in check mode", async () => {
+    const out = await tempFile("errors.md");
+    assert.equal((await run(fixture, "--out", out, "--check")).code, 1);
+  });
+
+  it("exits with 2 for invalid arguments", async () => {
+    assert.equal((await run()).code, 2);
+    assert.equal((await run(fixture, "--check")).code, 2);
+    assert.equal((await run(fixture, "--format", "yaml")).code, 2);
+    assert.equal((await run(fixture, "--unknown")).code, 2);
+  });
+});
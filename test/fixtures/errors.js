@@ -0,0 +1,22 @@
+import { createErrorCategory, createErrorClassesByCode } from "../../index.js";
+
+export const ClientError = createErrorCategory({ name: "ClientError" });
+
+export const errors = createErrorClassesByCode([
+  {
+    code: "NOT_FOUND",
+    message: "Resource {resource} not found",
+    status: 404,
+    parent: ClientError,
+  },
+  {
+    code: "RATE_LIMITED",
+    message: "Retry in {seconds, plural, one {# second} other {# seconds}}",
+    status: 429,
+    retryable: true,
+  },
+]);
+
+export const definitions = [
+  { code: "PIPE_ERROR", message: "Bad | value <{value}>", status: 400 },
+];
@@ -0,0 +1,286 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { createErrorClass } from "../index.js";
+import {
+  InternalServerError,
+  errorResponse,
+  expressErrorHandler,
+  fastifyErrorHandler,
+  koaErrorHandler,
+  sendError,
+} from "../http.js";
+
+const NotFound = createErrorClass({
+  code: "NOT_FOUND",
+  message: "Resource {resource} not found",
+  status: 404,
+});
+
+const DatabaseDown = createErrorClass({
+  code: "DATABASE_DOWN",
+  message: "Database {host} is down",
+  status: 503,
+});
+
+// Starts a server that responds to every request with `handler`
+function listen(handler) {
+  const server = createServer(handler);
+  let url;
+  before(async () => {
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(() => new Promise((resolve) => server.close(resolve)));
+  return (path = "/") => fetch(url + path);
+}
+
+describe("sendError", () => {
+  let err, options;
+  const request = listen((req, res) => sendError(res, err, options));
+
+  it("sends custom errors as JSON with their status", async () => {
+    err = new NotFound({ resource: "User" });
+    options = undefined;
+    const res = await request();
+    assert.equal(res.status, 404);
+    assert.equal(
+      res.headers.get("content-type"),
+      "application/json; charset=utf-8",
+    );
+    assert.deepEqual(await res.json(), {
+      name: "NotFound",
+      code: "NOT_FOUND",
+      status: 404,
+      message: "Resource User not found",
+      params: { resource: "User" },
+    });
+  });
+
+  it("sends Problem Details", async () => {
+    err = new NotFound({ resource: "User" });
+    options = { format: "problem", baseURI: "https://example.com/errors/" };
+    const res = await request();
+    assert.equal(res.status, 404);
+    assert.equal(
+      res.headers.get("content-type"),
+      "application/problem+json; charset=utf-8",
+    );
+    assert.deepEqual(await res.json(), {
+      resource: "User",
+      type: "https://example.com/errors/not-found",
+      title: "Resource {resource} not found",
+      status: 404,
+      detail: "Resource User not found",
+      code: "NOT_FOUND",
+    });
+  });
+
+  it("sends params that JSON cannot represent as text", async () => {
+    const data = { id: 1 };
+    data.self = data;
+    err = new NotFound({ resource: data });
+    for (options of [undefined, { format: "problem" }]) {
+      const res = await request();
+      assert.equal(res.status, 404);
+      const body = await res.json();
+      assert.equal(
+        body.params?.resource ?? body.resource,
+        "{ id: 1, self: [Circular] }",
+      );
+    }
+  });
+
+  it("hides the message and params of 5xx errors when expose is false", async () => {
+    err = new DatabaseDown({ host: "db.internal" });
+    options = { expose: false };
+    const res = await request();
+    assert.equal(res.status, 503);
+    assert.deepEqual(await res.json(), {
+      name: "DatabaseDown",
+      code: "DATABASE_DOWN",
+      status: 503,
+      message: "Service Unavailable",
+    });
+  });
+
+  it("hides the detail and params of 5xx Problem Details when expose is false", async () => {
+    err = new DatabaseDown({ host: "db.internal" });
+    options = { expose: false, format: "problem" };
+    const res = await request();
+    assert.deepEqual(await res.json(), {
+      type: "database-down",
+      title: "Database {host} is down",
+      status: 503,
+      code: "DATABASE_DOWN",
+    });
+  });
+
+  it("always sends 4xx errors in full", async () => {
+    err = new NotFound({ resource: "User" });
+    options = { expose: false };
+    const res = await request();
+    const body = await res.json();
+    assert.equal(body.message, "Resource User not found");
+    assert.deepEqual(body.params, { resource: "User" });
+  });
+
+  it("maps unknown errors to InternalServerError", async () => {
+    err = new TypeError("secret internals");
+    options = undefined;
+    const res = await request();
+    assert.equal(res.status, 500);
+    const body = await res.json();
+    assert.equal(body.code, "INTERNAL_SERVER_ERROR");
+    assert.equal(body.message, "Internal server error");
+    assert.ok(!JSON.stringify(body).includes("secret internals"));
+  });
+
+  it("maps unknown errors to a configured internal error class", async () => {
+    const Unexpected = createErrorClass({
+      code: "UNEXPECTED",
+      message: "Something went wrong",
+      status: 500,
+    });
+    err = "not even an error";
+    options = { internalError: Unexpected };
+    const res = await request();
+    assert.equal(res.status, 500);
+    assert.equal((await res.json()).code, "UNEXPECTED");
+  });
+});
+
+describe("errorResponse", () => {
+  it("hides 5xx messages by default in production", (t) => {
+    t.after(() => {
+      process.env.NODE_ENV = nodeEnv;
+    });
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = "production";
+    const { body } = errorResponse(new DatabaseDown({ host: "db.internal" }));
+    assert.equal(body.message, "Service Unavailable");
+    assert.equal(body.params, undefined);
+  });
+
+  it("wraps errors with an invalid HTTP status", () => {
+    const err = Object.assign(new Error("odd"), { code: "ODD", status: 42 });
+    const response = errorResponse(err);
+    assert.equal(response.status, 500);
+    assert.equal(response.body.code, "INTERNAL_SERVER_ERROR");
+  });
+
+  it("keeps the original error as the cause of the internal error", () => {
+    const original = new Error("boom");
+    const Capture = class extends InternalServerError {
+      constructor(...args) {
+        super(...args);
+        Capture.last = this;
+      }
+    };
+    errorResponse(original, { internalError: Capture });
+    assert.equal(Capture.last.cause, original);
+  });
+
+  it("keeps the cause when the internal error class has template params", () => {
+    const Wrapped = createErrorClass({
+      code: "WRAPPED",
+      message: "Wrapped {what}",
+      status: 500,
+    });
+    const original = new Error("boom");
+    const Capture = class extends Wrapped {
+      constructor(...args) {
+        super(...args);
+        Capture.last = this;
+      }
+    };
+    errorResponse(original, { internalError: Capture });
+    assert.equal(Capture.last.cause, original);
+    assert.deepEqual(Capture.last.params, {});
+  });
+});
+
+describe("expressErrorHandler", () => {
+  const handler = expressErrorHandler({ expose: true });
+  let nextCalled;
+  const request = listen((req, res) => {
+    if (req.url === "/streaming") {
+      res.write("partial");
+      handler(new NotFound({ resource: "User" }), req, res, (err) => {
+        nextCalled = err;
+        res.end();
+      });
+      return;
+    }
+    handler(new NotFound({ resource: "User" }), req, res, () => {});
+  });
+
+  it("sends the error", async () => {
+    const res = await request();
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).code, "NOT_FOUND");
+  });
+
+  it("passes the error on when the response has started", async () => {
+    const res = await request("/streaming");
+    assert.equal(await res.text(), "partial");
+    assert.equal(nextCalled.code, "NOT_FOUND");
+  });
+});
+
+describe("koaErrorHandler", () => {
+  function createContext() {
+    const emitted = [];
+    return {
+      emitted,
+      app: { emit: (...args) => emitted.push(args) },
+    };
+  }
+
+  it("sets the status, type and body for thrown errors", async () => {
+    const ctx = createContext();
+    const err = new NotFound({ resource: "User" });
+    await koaErrorHandler()(ctx, async () => {
+      throw err;
+    });
+    assert.equal(ctx.status, 404);
+    assert.equal(ctx.type, "application/json");
+    assert.equal(JSON.parse(ctx.body).code, "NOT_FOUND");
+    assert.deepEqual(ctx.emitted, [["error", err, ctx]]);
+  });
+
+  it("does nothing when no error is thrown", async () => {
+    const ctx = createContext();
+    await koaErrorHandler()(ctx, async () => {});
+    assert.equal(ctx.status, undefined);
+    assert.equal(ctx.emitted.length, 0);
+  });
+});
+
+describe("fastifyErrorHandler", () => {
+  it("sends the error through the reply", () => {
+    const sent = {};
+    const reply = {
+      code(status) {
+        sent.status = status;
+        return this;
+      },
+      type(contentType) {
+        sent.contentType = contentType;
+        return this;
+      },
+      send(payload) {
+        sent.payload = payload;
+        return this;
+      },
+    };
+    fastifyErrorHandler({ format: "problem" })(
+      new NotFound({ resource: "User" }),
+      {},
+      reply,
+    );
+    assert.equal(sent.status, 404);
+    assert.equal(sent.contentType, "application/problem+json");
+    assert.equal(JSON.parse(sent.payload).type, "not-found");
+  });
+});
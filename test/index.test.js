@@ -1,10 +1,35 @@
-import { describe, it } from "node:test";
+import { afterEach, describe, it } from "node:test";
 import assert from "node:assert/strict";
+import { inspect } from "node:util";
 import {
+  configure,
+  createAggregateErrorClass,
+  createErrorCategory,
   createErrorClass,
   createErrorClassesByCode,
   createErrorClassesByName,
+  describeErrorClass,
+  formatMessage,
+  fromGrpcStatus,
+  fromJSON,
+  fromJsonRpcError,
+  fromProblemDetails,
+  findCause,
+  getCauseChain,
+  getRootCause,
+  hasCode,
   isCustomError,
+  matchError,
+  registerMessages,
+  serializeError,
+  serializeForLog,
+  toGrpcStatus,
+  toJsonRpcError,
+  toOpenAPI,
+  toProblemDetails,
+  tryCatch,
+  tryCatchAsync,
+  wrapErrors,
 } from "../index.js";
 
 describe("createErrorClass", () => {
@@ -55,6 +80,16 @@ describe("createErrorClass", () => {
       }
     });
 
+    it("exposes status and the default template as static properties", () => {
+      const NotFound = createErrorClass({
+        code: "NOT_FOUND",
+        message: "Resource {resource} not found",
+        status: 404,
+      });
+      assert.equal(NotFound.status, 404);
+      assert.equal(NotFound.template, "Resource {resource} not found");
+    });
+
     it("sets the class name to PascalCase", () => {
       const NotFound = createErrorClass({
         code: "NOT_FOUND",
@@ -114,6 +149,19 @@ describe("createErrorClass", () => {
       const err = new Err({ a: "hello" });
       assert.equal(err.message, "hello and {b}");
     });
+
+    it("formats repeated and many distinct custom messages", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "{a}",
+        status: 500,
+      });
+      for (let i = 0; i < 1000; i++) {
+        assert.equal(new Err(`${i}: {a}`, { a: "x" }).message, `${i}: x`);
+      }
+      assert.equal(new Err("0: {a}", { a: "y" }).message, "0: y");
+      assert.equal(new Err("0: {a}", { a: "z" }).message, "0: z");
+    });
   });
 
   describe("constructor signatures — errors with template parameters", () => {
@@ -284,6 +332,73 @@ describe("createErrorClass", () => {
         `Expected first frame to reference throwSite, got: ${firstFrame}`,
       );
     });
+
+    it("captures the stack once and restores Error.stackTraceLimit", (t) => {
+      const Err = createErrorClass({
+        code: "TEST",
+        message: "test",
+        status: 500,
+      });
+      const { stackTraceLimit } = Error;
+      const capture = t.mock.method(Error, "captureStackTrace");
+      new Err();
+      assert.equal(capture.mock.callCount(), 1);
+      assert.equal(Error.stackTraceLimit, stackTraceLimit);
+    });
+
+    it("lazy stacks point at the throw site", () => {
+      const Err = createErrorClass({
+        code: "TEST",
+        message: "test",
+        status: 500,
+        stack: "lazy",
+      });
+      function throwSite() {
+        return new Err();
+      }
+      const stackLines = throwSite().stack.split("\n");
+      assert.equal(stackLines[0], "Test: test");
+      assert.ok(stackLines[1].includes("throwSite"), stackLines[1]);
+    });
+
+    it("does not capture a stack when stack is none", () => {
+      const Err = createErrorClass({
+        code: "TEST",
+        message: "test {id}",
+        status: 500,
+        stack: "none",
+      });
+      assert.equal(new Err({ id: 1 }).stack, "Test: test 1");
+    });
+
+    it("restores Error.stackTraceLimit", () => {
+      const Err = createErrorClass({
+        code: "TEST",
+        message: "test",
+        status: 500,
+        stack: "none",
+      });
+      const { stackTraceLimit } = Error;
+      new Err();
+      assert.equal(Error.stackTraceLimit, stackTraceLimit);
+    });
+
+    it("throws for an invalid stack option", () => {
+      assert.throws(
+        () =>
+          createErrorClass({
+            code: "BAD",
+            message: "x",
+            status: 500,
+            stack: "off",
+          }),
+        {
+          name: "TypeError",
+          message:
+            'Error definition "BAD" has an invalid stack option: \'off\'. Use "eager", "lazy" or "none"',
+        },
+      );
+    });
   });
 
   describe("toString()", () => {
@@ -318,6 +433,130 @@ describe("createErrorClass", () => {
     });
   });
 
+  describe("params", () => {
+    const NotFound = createErrorClass({
+      code: "NOT_FOUND",
+      message: "Resource {resource} not found",
+      status: 404,
+    });
+
+    it("keeps the template params on the instance", () => {
+      const err = new NotFound({ resource: "User" });
+      assert.deepEqual(err.params, { resource: "User" });
+    });
+
+    it("keeps params passed with a custom message", () => {
+      const err = new NotFound("{thing} is gone", { thing: "Widget" });
+      assert.deepEqual(err.params, { thing: "Widget" });
+    });
+
+    it("does not include cause in params", () => {
+      const err = new NotFound("{x} gone", { x: 1, cause: new Error("root") });
+      assert.deepEqual(err.params, { x: 1 });
+    });
+
+    it("is an empty object when there are no params", () => {
+      const Unauthorized = createErrorClass({
+        code: "UNAUTHORIZED",
+        message: "Access denied",
+        status: 401,
+      });
+      assert.deepEqual(new Unauthorized().params, {});
+      assert.deepEqual(new Unauthorized({ cause: new Error() }).params, {});
+    });
+
+    it("is a frozen copy of the params object", () => {
+      const params = { resource: "User" };
+      const err = new NotFound(params);
+      assert.ok(Object.isFrozen(err.params));
+      assert.notEqual(err.params, params);
+      assert.ok(!Object.isFrozen(params));
+    });
+  });
+
+  describe("toJSON()", () => {
+    const NotFound = createErrorClass({
+      code: "NOT_FOUND",
+      message: "Resource {resource} not found",
+      status: 404,
+    });
+
+    it("serializes name, code, status, message and params", () => {
+      const err = new NotFound({ resource: "User" });
+      assert.deepEqual(JSON.parse(JSON.stringify(err)), {
+        name: "NotFound",
+        code: "NOT_FOUND",
+        status: 404,
+        message: "Resource User not found",
+        params: { resource: "User" },
+      });
+    });
+
+    it("serializes an empty params object for errors without params", () => {
+      const Unauthorized = createErrorClass({
+        code: "UNAUTHORIZED",
+        message: "Access denied",
+        status: 401,
+      });
+      assert.deepEqual(new Unauthorized().toJSON().params, {});
+    });
+
+    it("serializes the cause chain recursively", () => {
+      const root = new TypeError("bad type");
+      const middle = new NotFound({ resource: "User" }, { cause: root });
+      const Err = createErrorClass({
+        code: "WRAPPED",
+        message: "Wrapped",
+        status: 500,
+      });
+      const json = new Err({ cause: middle }).toJSON();
+      assert.equal(json.cause.code, "NOT_FOUND");
+      assert.deepEqual(json.cause.cause, {
+        name: "TypeError",
+        message: "bad type",
+      });
+    });
+
+    it("keeps non-error causes as-is", () => {
+      const err = new NotFound({ resource: "User" }, { cause: "timeout" });
+      assert.equal(err.toJSON().cause, "timeout");
+    });
+
+    it("serializes AggregateError causes with their errors", () => {
+      const cause = new AggregateError(
+        [new Error("one"), new NotFound({ resource: "Two" })],
+        "Several failures",
+      );
+      const json = new NotFound({ resource: "User" }, { cause }).toJSON();
+      assert.equal(json.cause.name, "AggregateError");
+      assert.equal(json.cause.message, "Several failures");
+      assert.deepEqual(
+        json.cause.errors.map((e) => e.message),
+        ["one", "Resource Two not found"],
+      );
+    });
+
+    it("does not include stacks unless asked to", () => {
+      const err = new NotFound(
+        { resource: "User" },
+        { cause: new Error("root") },
+      );
+      assert.equal(err.toJSON().stack, undefined);
+      const json = err.toJSON({ stack: true });
+      assert.equal(json.stack, err.stack);
+      assert.equal(json.cause.stack, err.cause.stack);
+    });
+
+    it("stops at circular cause chains", () => {
+      const a = new Error("a");
+      const b = new NotFound({ resource: "User" }, { cause: a });
+      a.cause = b;
+      const json = b.toJSON();
+      assert.equal(json.cause.message, "a");
+      assert.equal("cause" in json.cause, false);
+    });
+  });
+
   describe("ErrorOpts as first argument for no-param errors", () => {
     const Err = createErrorClass({
       code: "SIMPLE",
@@ -754,137 +993,2222 @@ describe("createErrorClass", () => {
     });
   });
 
-  describe("reserved parameter validation", () => {
-    it("throws at definition time when message uses {cause}", () => {
+  describe("parent categories", () => {
+    const AppError = createErrorCategory({ name: "AppError" });
+    const ClientError = createErrorCategory({
+      name: "ClientError",
+      parent: AppError,
+    });
+    const NotFound = createErrorClass({
+      code: "NOT_FOUND",
+      message: "Resource {resource} not found",
+      status: 404,
+      parent: ClientError,
+    });
+
+    it("extends the parent category", () => {
+      const err = new NotFound({ resource: "User" });
+      assert.ok(err instanceof NotFound);
+      assert.ok(err instanceof ClientError);
+      assert.ok(err instanceof AppError);
+      assert.ok(err instanceof Error);
+      assert.equal(Object.getPrototypeOf(NotFound), ClientError);
+    });
+
+    it("keeps code, status, name, params and cause", () => {
+      const cause = new Error("root");
+      const err = new NotFound({ resource: "User" }, { cause });
+      assert.equal(err.code, "NOT_FOUND");
+      assert.equal(err.status, 404);
+      assert.equal(err.name, "NotFound");
+      assert.equal(err.message, "Resource User not found");
+      assert.deepEqual(err.params, { resource: "User" });
+      assert.equal(err.cause, cause);
+      assert.ok(isCustomError(err));
+    });
+
+    it("keeps static properties on the class", () => {
+      assert.equal(NotFound.code, "NOT_FOUND");
+      assert.equal(NotFound.status, 404);
+      assert.equal(NotFound.name, "NotFound");
+    });
+
+    it("points the stack at the throw site", () => {
+      function throwSite() {
+        return new NotFound({ resource: "User" });
+      }
+      const stackLines = throwSite().stack.split("\n");
+      assert.equal(stackLines[0], "NotFound: Resource User not found");
+      assert.ok(stackLines[1].includes("throwSite"), stackLines[1]);
+    });
+
+    it("throws when the parent is not an error category", () => {
+      const Other = createErrorClass({
+        code: "OTHER",
+        message: "Other",
+        status: 500,
+      });
+      for (const parent of [Other, TypeError, Map]) {
+        assert.throws(
+          () =>
+            createErrorClass({
+              code: "CHILD",
+              message: "Child",
+              status: 500,
+              parent,
+            }),
+          {
+            name: "TypeError",
+            message:
+              'Error definition "CHILD" must have an error category as its parent',
+          },
+        );
+      }
+    });
+  });
+
+  describe("format specifiers", () => {
+    it("formats {name:number} with Intl.NumberFormat", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Found {count:number} rows",
+        status: 500,
+      });
+      const expected = new Intl.NumberFormat().format(1234567.5);
+      assert.equal(
+        new Err({ count: 1234567.5 }).message,
+        `Found ${expected} rows`,
+      );
+      assert.equal(new Err({ count: 10n }).message, "Found 10 rows");
+    });
+
+    it("formats {name:date} and {name:time} with Intl.DateTimeFormat", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Expired on {when:date} at {when:time}",
+        status: 500,
+      });
+      const when = new Date("2024-01-15T10:30:00Z");
+      const date = new Intl.DateTimeFormat(undefined, { dateStyle: "medium" });
+      const time = new Intl.DateTimeFormat(undefined, { timeStyle: "medium" });
+      assert.equal(
+        new Err({ when }).message,
+        `Expired on ${date.format(when)} at ${time.format(when)}`,
+      );
+      assert.equal(
+        new Err({ when: new Date("invalid") }).message,
+        "Expired on Invalid Date at Invalid Date",
+      );
+    });
+
+    it("formats {name:list} with Intl.ListFormat", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Missing {fields:list}",
+        status: 400,
+      });
+      assert.equal(
+        new Err({ fields: ["name", "email", "age"] }).message,
+        "Missing name, email, and age",
+      );
+      assert.equal(
+        new Err({ fields: new Set(["name", 42]) }).message,
+        "Missing name and 42",
+      );
+    });
+
+    it("falls back to plain formatting for values of the wrong type", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "{count:number} {items:list}",
+        status: 500,
+      });
+      assert.equal(
+        new Err({ count: "many", items: "a, b" }).message,
+        "many a, b",
+      );
+    });
+
+    it("throws at definition time for unknown formats", () => {
       assert.throws(
         () =>
           createErrorClass({
             code: "BAD",
-            message: "Failed because {cause}",
+            message: "At {when:datetime}",
             status: 500,
           }),
         {
           message:
-            'Error definition "BAD" uses reserved parameter name "{cause}" in message template',
+            'Error definition "BAD" has an invalid message template: unknown format in "{when:datetime}"',
         },
       );
     });
-  });
-});
 
-describe("createErrorClassesByCode", () => {
-  it("creates multiple error classes keyed by code", () => {
-    const errors = createErrorClassesByCode([
-      { code: "NOT_FOUND", message: "Not found", status: 404 },
-      { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
-    ]);
-    assert.ok(errors.NOT_FOUND);
-    assert.ok(errors.UNAUTHORIZED);
+    it("uses the locale when localizing", () => {
+      const errors = createErrorClassesByCode([
+        { code: "ERR", message: "{fields:list} missing", status: 400 },
+      ]);
+      registerMessages(errors, { de: { ERR: "{fields:list} fehlen" } });
+      const err = new errors.ERR({ fields: ["Name", "E-Mail"] });
+      assert.equal(err.localize("de"), "Name und E-Mail fehlen");
+    });
   });
 
-  it("each class works independently", () => {
-    const errors = createErrorClassesByCode([
-      {
-        code: "NOT_FOUND",
-        message: "Resource {resource} not found",
-        status: 404,
-      },
-      { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
-    ]);
+  describe("plural and select", () => {
+    const Items = createErrorClass({
+      code: "ITEMS",
+      message:
+        "{count, plural, =0 {No items} one {# item} other {# items}} in {folder}",
+      status: 400,
+    });
 
-    const notFound = new errors.NOT_FOUND({ resource: "User" });
-    assert.equal(notFound.message, "Resource User not found");
-    assert.equal(notFound.code, "NOT_FOUND");
-    assert.equal(notFound.status, 404);
-    assert.equal(notFound.name, "NotFound");
+    it("picks the branch for the plural category", () => {
+      assert.equal(new Items({ count: 1, folder: "a" }).message, "1 item in a");
+      assert.equal(
+        new Items({ count: 3, folder: "a" }).message,
+        "3 items in a",
+      );
+    });
 
-    const unauthorized = new errors.UNAUTHORIZED();
-    assert.equal(unauthorized.message, "Access denied");
-    assert.equal(unauthorized.code, "UNAUTHORIZED");
-    assert.equal(unauthorized.status, 401);
-    assert.equal(unauthorized.name, "Unauthorized");
-  });
+    it("prefers exact =n matches", () => {
+      assert.equal(
+        new Items({ count: 0, folder: "a" }).message,
+        "No items in a",
+      );
+    });
 
-  it("errors from different classes are not instanceof each other", () => {
-    const errors = createErrorClassesByCode([
-      { code: "NOT_FOUND", message: "Not found", status: 404 },
-      { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
-    ]);
+    it("formats # as a number", () => {
+      const expected = new Intl.NumberFormat().format(1500);
+      assert.equal(
+        new Items({ count: 1500, folder: "a" }).message,
+        `${expected} items in a`,
+      );
+    });
 
-    const notFound = new errors.NOT_FOUND();
-    assert.ok(notFound instanceof errors.NOT_FOUND);
-    assert.ok(!(notFound instanceof errors.UNAUTHORIZED));
-  });
+    it("interpolates placeholders inside branches", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "{count, plural, one {# file in {dir}} other {# files}}",
+        status: 400,
+      });
+      assert.equal(
+        new Err({ count: 1, dir: "/tmp" }).message,
+        "1 file in /tmp",
+      );
+      assert.equal(new Err({ count: 2, dir: "/tmp" }).message, "2 files");
+    });
 
-  it("throws at definition time when a definition uses {cause}", () => {
-    assert.throws(
-      () =>
-        createErrorClassesByCode([
-          { code: "BAD", message: "Failed because {cause}", status: 500 },
-        ]),
-      {
+    it("supports select", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "{role, select, admin {Admins} other {Users}} cannot do that",
+        status: 403,
+      });
+      assert.equal(new Err({ role: "admin" }).message, "Admins cannot do that");
+      assert.equal(new Err({ role: "guest" }).message, "Users cannot do that");
+    });
+
+    it("leaves the placeholder as-is when the param is missing", () => {
+      const err = new Items("{count, plural, other {# items}}", {});
+      assert.equal(err.message, "{count, plural, other {# items}}");
+    });
+
+    it("throws at definition time for malformed plurals", () => {
+      for (const [message, reason] of [
+        ["{n, plural, one {# item}}", 'plural for "{n}" needs an "other" case'],
+        ["{n, plural, one {# item", 'unterminated plural for "{n}"'],
+        ["{n, select, other}", 'unterminated select for "{n}"'],
+      ]) {
+        assert.throws(
+          () => createErrorClass({ code: "BAD", message, status: 500 }),
+          {
+            message: `Error definition "BAD" has an invalid message template: ${reason}`,
+          },
+        );
+      }
+    });
+
+    it("treats a plural-only template as having params", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "{count, plural, other {# items}}",
+        status: 400,
+      });
+      const err = new Err({ count: 2 });
+      assert.equal(err.message, "2 items");
+      assert.deepEqual(err.params, { count: 2 });
+    });
+  });
+
+  describe("nested placeholder paths", () => {
+    it("resolves dotted paths against the params", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "User {user.id} cannot order {order.items.length} items",
+        status: 403,
+      });
+      const err = new Err({
+        user: { id: 7 },
+        order: { items: ["a", "b"] },
+      });
+      assert.equal(err.message, "User 7 cannot order 2 items");
+      assert.deepEqual(err.params, {
+        user: { id: 7 },
+        order: { items: ["a", "b"] },
+      });
+    });
+
+    it("resolves paths on primitives and with formats", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "{name.length} chars, {stats.count:number} rows",
+        status: 400,
+      });
+      const err = new Err({ name: "Alice", stats: { count: 3 } });
+      assert.equal(err.message, "5 chars, 3 rows");
+    });
+
+    it("resolves paths in plural and select", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "{cart.size, plural, one {# item} other {# items}}",
+        status: 400,
+      });
+      assert.equal(new Err({ cart: { size: 2 } }).message, "2 items");
+    });
+
+    it("leaves the placeholder as-is when part of the path is missing", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "User {user.id}",
+        status: 400,
+      });
+      assert.equal(new Err({ user: null }).message, "User {user.id}");
+      assert.equal(new Err({ user: {} }).message, "User {user.id}");
+    });
+
+    it("reserves cause as the first segment of a path", () => {
+      assert.throws(
+        () =>
+          createErrorClass({
+            code: "BAD",
+            message: "Failed because {cause.message}",
+            status: 500,
+          }),
+        {
+          message:
+            'Error definition "BAD" uses reserved parameter name "{cause.message}" in message template',
+        },
+      );
+    });
+
+    it("allows cause as a later segment of a path", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Failed because {result.cause}",
+        status: 500,
+      });
+      assert.equal(
+        new Err({ result: { cause: "timeout" } }).message,
+        "Failed because timeout",
+      );
+    });
+  });
+
+  describe("brace escaping", () => {
+    it("turns {{ and }} into literal braces", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: 'Expected {{"id": {id}}} in {{config.{key}}}',
+        status: 400,
+      });
+      const err = new Err({ id: 1, key: "port" });
+      assert.equal(err.message, 'Expected {"id": 1} in {config.port}');
+      assert.deepEqual(err.params, { id: 1, key: "port" });
+    });
+
+    it("does not treat escaped placeholders as params", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Use {{name}} in templates",
+        status: 400,
+      });
+      const err = new Err();
+      assert.equal(err.message, "Use {name} in templates");
+    });
+
+    it("allows escaped {{cause}} in definitions", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Templates cannot use {{cause}}",
+        status: 500,
+      });
+      assert.equal(new Err().message, "Templates cannot use {cause}");
+    });
+
+    it("unescapes braces in custom messages", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "default",
+        status: 400,
+      });
+      assert.equal(new Err("{{{x}}}", { x: 1 }).message, "{1}");
+    });
+
+    it("supports {{ inside plural branches, where } closes the branch", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "{n, plural, one {{{# key} other {{{# keys}}",
+        status: 400,
+      });
+      assert.equal(new Err({ n: 1 }).message, "{1 key");
+      assert.equal(new Err({ n: 2 }).message, "{2 keys");
+    });
+
+    it("leaves unpaired braces as-is", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "a { b } c",
+        status: 400,
+      });
+      assert.equal(new Err().message, "a { b } c");
+    });
+  });
+
+  describe("inspect option", () => {
+    class Money {
+      constructor(amount, currency) {
+        this.amount = amount;
+        this.currency = currency;
+      }
+    }
+
+    it("overrides the truncation limits for one definition", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Data: {data}",
+        status: 500,
+        inspect: { maxItems: 2, maxString: 3 },
+      });
+      assert.equal(
+        new Err({ data: [1, 2, 3, 4] }).message,
+        "Data: [ 1, 2, … 2 more ]",
+      );
+      assert.equal(
+        new Err({ data: { s: "abcdef" } }).message,
+        "Data: { s: 'abc…' }",
+      );
+    });
+
+    it("overrides the nesting depth for one definition", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Data: {data}",
+        status: 500,
+        inspect: { depth: 0 },
+      });
+      assert.equal(
+        new Err({ data: { a: { b: 1 } } }).message,
+        "Data: { a: {…} }",
+      );
+    });
+
+    it("formats values with custom formatters", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Cannot charge {price}",
+        status: 400,
+        inspect: {
+          formatters: [
+            { type: Money, format: (m) => `${m.amount} ${m.currency}` },
+          ],
+        },
+      });
+      assert.equal(
+        new Err({ price: new Money(5, "EUR") }).message,
+        "Cannot charge 5 EUR",
+      );
+    });
+
+    it("applies custom formatters to nested values", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Prices: {prices}",
+        status: 400,
+        inspect: {
+          formatters: [
+            { type: Money, format: (m) => `${m.amount} ${m.currency}` },
+          ],
+        },
+      });
+      assert.equal(
+        new Err({ prices: [new Money(1, "EUR"), new Money(2, "USD")] }).message,
+        "Prices: [ 1 EUR, 2 USD ]",
+      );
+    });
+
+    it("does not affect other definitions", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Data: {data}",
+        status: 500,
+      });
+      assert.equal(
+        new Err({ data: [1, 2, 3, 4] }).message,
+        "Data: [ 1, 2, 3, 4 ]",
+      );
+    });
+  });
+
+  describe("util.inspect()", () => {
+    const NotFound = createErrorClass({
+      code: "NOT_FOUND",
+      message: "Resource {resource} not found",
+      status: 404,
+    });
+
+    it("includes the code in the first line", () => {
+      const output = inspect(new NotFound({ resource: "User" }));
+      assert.equal(
+        output.split("\n")[0],
+        "NotFound [NOT_FOUND]: Resource User not found",
+      );
+    });
+
+    it("includes the stack trace", () => {
+      const output = inspect(new NotFound({ resource: "User" }));
+      assert.match(output, /\n {4}at /);
+    });
+
+    it("includes status and params", () => {
+      const output = inspect(new NotFound({ resource: "User" }));
+      assert.ok(output.includes("status: 404"));
+      assert.ok(output.includes("params: { resource: 'User' }"));
+    });
+
+    it("includes the cause chain", () => {
+      const inner = new NotFound(
+        { resource: "Team" },
+        { cause: new TypeError("bad id") },
+      );
+      const outer = new NotFound({ resource: "User" }, { cause: inner });
+      const output = inspect(outer);
+      assert.ok(
+        output.includes("[cause]: NotFound [NOT_FOUND]: Resource Team"),
+      );
+      assert.ok(output.includes("[cause]: TypeError: bad id"));
+    });
+
+    it("abbreviates errors nested deeper than the inspect depth", () => {
+      const err = new NotFound({ resource: "User" });
+      assert.equal(inspect({ a: { err } }, { depth: 0 }), "{ a: [Object] }");
+      assert.equal(
+        inspect({ err }, { depth: 0 }),
+        "{ err: [NotFound [NOT_FOUND]] }",
+      );
+    });
+  });
+
+  describe("sensitive params", () => {
+    const LoginFailed = createErrorClass({
+      code: "LOGIN_FAILED",
+      message: "Login failed for {email} with {token}",
+      status: 401,
+      sensitive: ["token"],
+    });
+
+    it("redacts sensitive params in the message", () => {
+      const err = new LoginFailed({ email: "a@example.com", token: "s3cr3t" });
+      assert.equal(
+        err.message,
+        "Login failed for a@example.com with [REDACTED]",
+      );
+    });
+
+    it("redacts sensitive params in params", () => {
+      const err = new LoginFailed({ email: "a@example.com", token: "s3cr3t" });
+      assert.deepEqual(err.params, {
+        email: "a@example.com",
+        token: "[REDACTED]",
+      });
+      assert.ok(Object.isFrozen(err.params));
+    });
+
+    it("keeps the raw params reachable through revealParams()", () => {
+      const err = new LoginFailed({ email: "a@example.com", token: "s3cr3t" });
+      assert.deepEqual(err.revealParams(), {
+        email: "a@example.com",
+        token: "s3cr3t",
+      });
+      assert.ok(Object.isFrozen(err.revealParams()));
+    });
+
+    it("redacts serialized and inspected output", () => {
+      const err = new LoginFailed({ email: "a@example.com", token: "s3cr3t" });
+      assert.ok(!JSON.stringify(err).includes("s3cr3t"));
+      assert.ok(!JSON.stringify(toProblemDetails(err)).includes("s3cr3t"));
+      assert.ok(!inspect(err).includes("s3cr3t"));
+    });
+
+    it("redacts nested paths", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Bad user {user}",
+        status: 400,
+        sensitive: ["user.password"],
+      });
+      const user = { name: "ada", password: "hunter2" };
+      const err = new Err({ user });
+      assert.equal(
+        err.message,
+        "Bad user { name: 'ada', password: '[REDACTED]' }",
+      );
+      assert.equal(err.revealParams().user, user);
+      assert.equal(user.password, "hunter2");
+    });
+
+    it("redacts sensitive plural and format placeholders entirely", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message:
+          "{attempts, plural, one {# attempt} other {# attempts}} as {pin:number}",
+        status: 429,
+        sensitive: ["attempts", "pin"],
+      });
+      assert.equal(
+        new Err({ attempts: 3, pin: 1234 }).message,
+        "[REDACTED] as [REDACTED]",
+      );
+    });
+
+    it("redacts params passed with a custom message", () => {
+      const err = new LoginFailed("Token {token} rejected", {
+        token: "s3cr3t",
+      });
+      assert.equal(err.message, "Token [REDACTED] rejected");
+    });
+
+    it("redacts values that cannot be walked", () => {
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Bad {user}",
+        status: 400,
+        sensitive: ["user.password"],
+      });
+      const user = {
+        get password() {
+          throw new Error("getter exploded");
+        },
+      };
+      assert.equal(new Err({ user }).message, "Bad [REDACTED]");
+    });
+
+    it("leaves class instances without sensitive paths untouched", () => {
+      class Credentials {
+        constructor() {
+          this.password = "hunter2";
+        }
+      }
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Bad {credentials}",
+        status: 400,
+        sensitive: ["token"],
+      });
+      const credentials = new Credentials();
+      assert.equal(new Err({ credentials }).params.credentials, credentials);
+    });
+
+    it("redacts class instances that hold a sensitive path", () => {
+      class User {
+        constructor() {
+          this.name = "ada";
+          this.password = "hunter2";
+        }
+      }
+      const Err = createErrorClass({
+        code: "ERR",
+        message: "Bad password {user.password} for {user}",
+        status: 400,
+        sensitive: ["user.password"],
+      });
+      const user = new User();
+      const err = new Err({ user });
+      assert.equal(err.message, "Bad password [REDACTED] for [REDACTED]");
+      assert.equal(err.params.user, "[REDACTED]");
+      assert.equal(err.revealParams().user, user);
+      assert.ok(!JSON.stringify(err).includes("hunter2"));
+      assert.ok(!JSON.stringify(serializeForLog(err)).includes("hunter2"));
+      assert.ok(!inspect(err).includes("hunter2"));
+    });
+
+    it("reveals the redacted params of revived errors", () => {
+      const err = new LoginFailed({ email: "a@example.com", token: "s3cr3t" });
+      const revived = fromJSON(JSON.parse(JSON.stringify(err)), {
+        LoginFailed,
+      });
+      assert.deepEqual(revived.revealParams(), {
+        email: "a@example.com",
+        token: "[REDACTED]",
+      });
+      assert.equal(revived.revealParams(), revived.params);
+    });
+  });
+
+  describe("gRPC and JSON-RPC codes", () => {
+    it("derives the codes from the HTTP status", () => {
+      const cases = [
+        [400, 3, -32602],
+        [401, 16, -32000],
+        [404, 5, -32000],
+        [410, 9, -32000],
+        [422, 3, -32602],
+        [500, 13, -32603],
+        [503, 14, -32000],
+        [507, 13, -32000],
+      ];
+      for (const [status, grpcCode, jsonRpcCode] of cases) {
+        const Err = createErrorClass({ code: "ERR", message: "x", status });
+        assert.equal(Err.grpcCode, grpcCode, `gRPC code for ${status}`);
+        assert.equal(
+          Err.jsonRpcCode,
+          jsonRpcCode,
+          `JSON-RPC code for ${status}`,
+        );
+      }
+    });
+
+    it("uses the codes declared in the definition", () => {
+      const Err = createErrorClass({
+        code: "ALREADY_EXISTS",
+        message: "Already exists",
+        status: 409,
+        grpcCode: 6,
+        jsonRpcCode: -32010,
+      });
+      assert.equal(Err.grpcCode, 6);
+      assert.equal(Err.jsonRpcCode, -32010);
+      const err = new Err();
+      assert.equal(err.grpcCode, 6);
+      assert.equal(err.jsonRpcCode, -32010);
+    });
+
+    it("throws for an invalid gRPC code", () => {
+      assert.throws(
+        () =>
+          createErrorClass({
+            code: "BAD",
+            message: "x",
+            status: 400,
+            grpcCode: 17,
+          }),
+        {
+          name: "TypeError",
+          message: 'Error definition "BAD" has an invalid gRPC status code: 17',
+        },
+      );
+    });
+
+    it("throws for an invalid JSON-RPC code", () => {
+      assert.throws(
+        () =>
+          createErrorClass({
+            code: "BAD",
+            message: "x",
+            status: 400,
+            jsonRpcCode: 1.5,
+          }),
+        {
+          name: "TypeError",
+          message:
+            'Error definition "BAD" has an invalid JSON-RPC error code: 1.5',
+        },
+      );
+    });
+  });
+
+  describe("metadata", () => {
+    const Unavailable = createErrorClass({
+      code: "UNAVAILABLE",
+      message: "Service unavailable",
+      status: 503,
+      retryable: true,
+      severity: "warning",
+      docsUrl: "https://example.com/errors/unavailable",
+    });
+
+    it("copies extra definition keys onto the class", () => {
+      assert.equal(Unavailable.retryable, true);
+      assert.equal(Unavailable.severity, "warning");
+      assert.equal(
+        Unavailable.docsUrl,
+        "https://example.com/errors/unavailable",
+      );
+    });
+
+    it("copies extra definition keys onto instances", () => {
+      const err = new Unavailable();
+      assert.equal(err.retryable, true);
+      assert.equal(err.severity, "warning");
+    });
+
+    it("collects extra definition keys in a frozen static metadata object", () => {
+      assert.deepEqual(Unavailable.metadata, {
+        retryable: true,
+        severity: "warning",
+        docsUrl: "https://example.com/errors/unavailable",
+      });
+      assert.ok(Object.isFrozen(Unavailable.metadata));
+    });
+
+    it("has empty metadata when there are no extra keys", () => {
+      const Err = createErrorClass({ code: "ERR", message: "x", status: 500 });
+      assert.deepEqual(Err.metadata, {});
+    });
+
+    it("keeps metadata on errors revived with fromJSON", () => {
+      const err = fromJSON(JSON.parse(JSON.stringify(new Unavailable())), {
+        Unavailable,
+      });
+      assert.equal(err.retryable, true);
+    });
+
+    for (const key of [
+      "name",
+      "params",
+      "errors",
+      "metadata",
+      "toString",
+      "length",
+    ]) {
+      it(`throws for the reserved key "${key}"`, () => {
+        assert.throws(
+          () =>
+            createErrorClass({
+              code: "BAD",
+              message: "x",
+              status: 500,
+              [key]: "value",
+            }),
+          {
+            name: "TypeError",
+            message: `Error definition "BAD" uses reserved metadata key "${key}"`,
+          },
+        );
+      });
+    }
+  });
+
+  describe("definition validation", () => {
+    for (const code of [
+      "not-found",
+      "NotFound",
+      "NOT__FOUND",
+      "_NOT_FOUND",
+      "NOT_FOUND_",
+      "1_NOT_FOUND",
+      "",
+    ]) {
+      it(`throws for the code "${code}"`, () => {
+        assert.throws(
+          () => createErrorClass({ code, message: "x", status: 404 }),
+          {
+            name: "TypeError",
+            message: `Error definition code "${code}" must be in SCREAMING_SNAKE_CASE, e.g. "NOT_FOUND"`,
+          },
+        );
+      });
+    }
+
+    it("throws for a missing code", () => {
+      assert.throws(() => createErrorClass({ message: "x", status: 404 }), {
+        name: "TypeError",
+        message:
+          'Error definition code undefined must be in SCREAMING_SNAKE_CASE, e.g. "NOT_FOUND"',
+      });
+    });
+
+    it("accepts codes with digits", () => {
+      assert.equal(
+        createErrorClass({ code: "HTTP_2_ERROR", message: "x", status: 500 })
+          .name,
+        "Http2Error",
+      );
+    });
+
+    for (const status of [42, 99, 600, 404.5, NaN, "404"]) {
+      it(`throws for the HTTP status ${typeof status === "string" ? `"${status}"` : status}`, () => {
+        assert.throws(
+          () => createErrorClass({ code: "ERR", message: "x", status }),
+          {
+            name: "TypeError",
+            message: new RegExp(
+              `^Error definition "ERR" has an invalid HTTP status: .*\\. Use an integer from 100 to 599, or set \`http: false\`$`,
+            ),
+          },
+        );
+      });
+    }
+
+    it("accepts any numeric status with http: false", () => {
+      const Err = createErrorClass({
+        code: "DISK_FULL",
+        message: "Disk full",
+        status: 28,
+        http: false,
+      });
+      assert.equal(new Err().status, 28);
+      assert.equal(Err.http, undefined);
+    });
+
+    it("still requires a numeric status with http: false", () => {
+      assert.throws(
+        () =>
+          createErrorClass({
+            code: "ERR",
+            message: "x",
+            status: "28",
+            http: false,
+          }),
+        {
+          name: "TypeError",
+          message: `Error definition "ERR" has an invalid status: '28'`,
+        },
+      );
+    });
+  });
+
+  describe("reserved parameter validation", () => {
+    it("throws at definition time when message uses {cause}", () => {
+      assert.throws(
+        () =>
+          createErrorClass({
+            code: "BAD",
+            message: "Failed because {cause}",
+            status: 500,
+          }),
+        {
+          message:
+            'Error definition "BAD" uses reserved parameter name "{cause}" in message template',
+        },
+      );
+    });
+  });
+});
+
+describe("configure", () => {
+  afterEach(() => {
+    configure({
+      inspect: { maxItems: 50, maxString: 200, depth: 4, formatters: [] },
+      redact: { keys: [] },
+      stack: "eager",
+    });
+  });
+
+  it("sets the stack mode of classes without their own", () => {
+    const Global = createErrorClass({
+      code: "GLOBAL",
+      message: "global",
+      status: 500,
+    });
+    const Own = createErrorClass({
+      code: "OWN",
+      message: "own",
+      status: 500,
+      stack: "eager",
+    });
+    configure({ stack: "none" });
+    assert.equal(new Global().stack, "Global: global");
+    assert.ok(new Own().stack.split("\n").length > 1);
+  });
+
+  it("throws for an invalid stack mode", () => {
+    assert.throws(() => configure({ stack: "sometimes" }), {
+      name: "TypeError",
+      message: "Invalid stack option: 'sometimes'",
+    });
+  });
+
+  const Err = createErrorClass({
+    code: "ERR",
+    message: "Data: {data}",
+    status: 500,
+  });
+
+  it("changes the truncation limits of all definitions", () => {
+    configure({ inspect: { maxItems: 1 } });
+    assert.equal(new Err({ data: [1, 2, 3] }).message, "Data: [ 1, … 2 more ]");
+  });
+
+  it("keeps limits that are not given", () => {
+    configure({ inspect: { maxItems: 1 } });
+    configure({ inspect: { maxString: 2 } });
+    assert.equal(
+      new Err({ data: ["abc", "d"] }).message,
+      "Data: [ 'ab…', … 1 more ]",
+    );
+  });
+
+  it("registers global formatters", () => {
+    class Id {
+      constructor(value) {
+        this.value = value;
+      }
+    }
+    configure({
+      inspect: { formatters: [{ type: Id, format: (id) => `#${id.value}` }] },
+    });
+    assert.equal(
+      new Err({ data: { id: new Id(7) } }).message,
+      "Data: { id: #7 }",
+    );
+  });
+
+  it("lets definition options take precedence", () => {
+    configure({ inspect: { maxItems: 1 } });
+    const Local = createErrorClass({
+      code: "LOCAL",
+      message: "Data: {data}",
+      status: 500,
+      inspect: { maxItems: 3 },
+    });
+    assert.equal(new Local({ data: [1, 2, 3] }).message, "Data: [ 1, 2, 3 ]");
+  });
+
+  it("redacts keys matching a global pattern at any depth", () => {
+    configure({ redact: { keys: ["password", /token$/i] } });
+    const err = new Err({
+      data: { user: { password: "hunter2" }, apiToken: "abc", id: 1 },
+    });
+    assert.equal(
+      err.message,
+      "Data: { user: { password: '[REDACTED]' }, apiToken: '[REDACTED]', id: 1 }",
+    );
+    assert.equal(err.revealParams().data.apiToken, "abc");
+  });
+
+  it("redacts keys matching a global pattern inside arrays", () => {
+    configure({ redact: { keys: ["password"] } });
+    const err = new Err({ data: [{ password: "hunter2" }] });
+    assert.equal(err.message, "Data: [ { password: '[REDACTED]' } ]");
+  });
+
+  it("redacts class instances with keys matching a global pattern", () => {
+    class User {
+      constructor() {
+        this.name = "bob";
+        this.account = { password: "hunter2" };
+      }
+    }
+    configure({ redact: { keys: ["password"] } });
+    const user = new User();
+    const err = new Err({ data: { user, id: 1 } });
+    assert.equal(err.message, "Data: { user: '[REDACTED]', id: 1 }");
+    assert.equal(err.params.data.user, "[REDACTED]");
+    assert.equal(err.revealParams().data.user, user);
+    assert.ok(!JSON.stringify(err).includes("hunter2"));
+    assert.ok(!JSON.stringify(serializeForLog(err)).includes("hunter2"));
+    assert.ok(!inspect(err).includes("hunter2"));
+  });
+
+  it("applies to localized messages", () => {
+    const Localized = createErrorClass({
+      code: "LOCALIZED",
+      message: "Data: {data}",
+      status: 500,
+    });
+    registerMessages({ Localized }, { de: { LOCALIZED: "Daten: {data}" } });
+    const err = new Localized({ data: [1, 2, 3] });
+    configure({ inspect: { maxItems: 1 } });
+    assert.equal(err.localize("de"), "Daten: [ 1, … 2 more ]");
+  });
+});
+
+describe("createAggregateErrorClass", () => {
+  const errors = createErrorClassesByCode([
+    {
+      code: "NOT_FOUND",
+      message: "Resource {resource} not found",
+      status: 404,
+    },
+    { code: "INVALID", message: "Invalid {field}", status: 400 },
+  ]);
+  const BulkFailed = createAggregateErrorClass(
+    {
+      code: "BULK_FAILED",
+      message: "{count} of {total} operations failed",
+      status: 422,
+    },
+    errors,
+  );
+  const AllFailed = createAggregateErrorClass({
+    code: "ALL_FAILED",
+    message: "All operations failed",
+    status: 500,
+  });
+
+  function createMembers() {
+    return [
+      new errors.NOT_FOUND({ resource: "User" }),
+      new errors.INVALID({ field: "email" }),
+    ];
+  }
+
+  it("creates AggregateError subclasses", () => {
+    const err = new BulkFailed(createMembers(), { count: 2, total: 5 });
+    assert.ok(err instanceof AggregateError);
+    assert.ok(err instanceof BulkFailed);
+    assert.ok(isCustomError(err));
+  });
+
+  it("keeps the errors, code, status and interpolated message", () => {
+    const members = createMembers();
+    const err = new BulkFailed(members, { count: 2, total: 5 });
+    assert.deepEqual(err.errors, members);
+    assert.equal(err.code, "BULK_FAILED");
+    assert.equal(err.status, 422);
+    assert.equal(err.name, "BulkFailed");
+    assert.equal(err.message, "2 of 5 operations failed");
+    assert.deepEqual(err.params, { count: 2, total: 5 });
+    assert.equal(BulkFailed.template, "{count} of {total} operations failed");
+  });
+
+  it("accepts any iterable of errors", () => {
+    const err = new AllFailed(new Set(createMembers()));
+    assert.equal(err.errors.length, 2);
+  });
+
+  it("supports the other constructor signatures", () => {
+    const cause = new Error("root");
+    const withOpts = new AllFailed(createMembers(), { cause });
+    assert.equal(withOpts.cause, cause);
+    assert.equal(withOpts.message, "All operations failed");
+    const custom = new BulkFailed(
+      createMembers(),
+      "Import failed",
+      {},
+      { cause },
+    );
+    assert.equal(custom.message, "Import failed");
+    assert.equal(custom.cause, cause);
+  });
+
+  it("serializes its errors", () => {
+    const err = new BulkFailed(createMembers(), { count: 2, total: 5 });
+    const json = err.toJSON();
+    assert.equal(json.code, "BULK_FAILED");
+    assert.deepEqual(
+      json.errors.map((e) => e.code),
+      ["NOT_FOUND", "INVALID"],
+    );
+  });
+
+  it("is revived with fromJSON", () => {
+    const json = JSON.parse(
+      JSON.stringify(new BulkFailed(createMembers(), { count: 2, total: 5 })),
+    );
+    const revived = fromJSON(json, { ...errors, BulkFailed });
+    assert.ok(revived instanceof BulkFailed);
+    assert.equal(revived.message, "2 of 5 operations failed");
+    assert.ok(revived.errors[0] instanceof errors.NOT_FOUND);
+    assert.ok(revived.errors[1] instanceof errors.INVALID);
+  });
+
+  it("shows its errors in util.inspect()", () => {
+    const output = inspect(new AllFailed(createMembers()));
+    assert.ok(output.includes("[errors]: ["));
+    assert.ok(output.includes("NotFound [NOT_FOUND]: Resource User not found"));
+  });
+
+  it("is found by the cause chain helpers", () => {
+    const err = new AllFailed(createMembers());
+    assert.ok(hasCode(err, "INVALID"));
+  });
+
+  it("throws for a parent", () => {
+    const Category = createErrorCategory({ name: "Category" });
+    assert.throws(
+      () =>
+        createAggregateErrorClass({
+          code: "BULK",
+          message: "x",
+          status: 500,
+          parent: Category,
+        }),
+      {
+        name: "TypeError",
+        message:
+          'Error definition "BULK" cannot have a parent, as aggregate error classes extend AggregateError',
+      },
+    );
+  });
+});
+
+describe("createErrorClassesByCode", () => {
+  it("creates multiple error classes keyed by code", () => {
+    const errors = createErrorClassesByCode([
+      { code: "NOT_FOUND", message: "Not found", status: 404 },
+      { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
+    ]);
+    assert.ok(errors.NOT_FOUND);
+    assert.ok(errors.UNAUTHORIZED);
+  });
+
+  it("each class works independently", () => {
+    const errors = createErrorClassesByCode([
+      {
+        code: "NOT_FOUND",
+        message: "Resource {resource} not found",
+        status: 404,
+      },
+      { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
+    ]);
+
+    const notFound = new errors.NOT_FOUND({ resource: "User" });
+    assert.equal(notFound.message, "Resource User not found");
+    assert.equal(notFound.code, "NOT_FOUND");
+    assert.equal(notFound.status, 404);
+    assert.equal(notFound.name, "NotFound");
+
+    const unauthorized = new errors.UNAUTHORIZED();
+    assert.equal(unauthorized.message, "Access denied");
+    assert.equal(unauthorized.code, "UNAUTHORIZED");
+    assert.equal(unauthorized.status, 401);
+    assert.equal(unauthorized.name, "Unauthorized");
+  });
+
+  it("errors from different classes are not instanceof each other", () => {
+    const errors = createErrorClassesByCode([
+      { code: "NOT_FOUND", message: "Not found", status: 404 },
+      { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
+    ]);
+
+    const notFound = new errors.NOT_FOUND();
+    assert.ok(notFound instanceof errors.NOT_FOUND);
+    assert.ok(!(notFound instanceof errors.UNAUTHORIZED));
+  });
+
+  it("throws at definition time when a definition uses {cause}", () => {
+    assert.throws(
+      () =>
+        createErrorClassesByCode([
+          { code: "BAD", message: "Failed because {cause}", status: 500 },
+        ]),
+      {
+        message:
+          'Error definition "BAD" uses reserved parameter name "{cause}" in message template',
+      },
+    );
+  });
+
+  it("throws for duplicate codes", () => {
+    assert.throws(
+      () =>
+        createErrorClassesByCode([
+          { code: "NOT_FOUND", message: "a", status: 404 },
+          { code: "NOT_FOUND", message: "b", status: 404 },
+        ]),
+      { message: 'Duplicate error definition code "NOT_FOUND"' },
+    );
+  });
+
+  it("throws for codes with the same class name", () => {
+    assert.throws(
+      () =>
+        createErrorClassesByCode([
+          { code: "HTTP_2", message: "a", status: 500 },
+          { code: "HTTP2", message: "b", status: 500 },
+        ]),
+      {
+        message:
+          'Error definition codes "HTTP_2" and "HTTP2" both have the class name "Http2"',
+      },
+    );
+  });
+});
+
+describe("createErrorClassesByName", () => {
+  it("creates multiple error classes keyed by PascalCase name", () => {
+    const errors = createErrorClassesByName([
+      { code: "NOT_FOUND", message: "Not found", status: 404 },
+      { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
+    ]);
+    assert.ok(errors.NotFound);
+    assert.ok(errors.Unauthorized);
+  });
+
+  it("each class works independently", () => {
+    const errors = createErrorClassesByName([
+      {
+        code: "NOT_FOUND",
+        message: "Resource {resource} not found",
+        status: 404,
+      },
+      { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
+    ]);
+
+    const notFound = new errors.NotFound({ resource: "User" });
+    assert.equal(notFound.message, "Resource User not found");
+    assert.equal(notFound.code, "NOT_FOUND");
+    assert.equal(notFound.status, 404);
+    assert.equal(notFound.name, "NotFound");
+
+    const unauthorized = new errors.Unauthorized();
+    assert.equal(unauthorized.message, "Access denied");
+    assert.equal(unauthorized.code, "UNAUTHORIZED");
+    assert.equal(unauthorized.status, 401);
+    assert.equal(unauthorized.name, "Unauthorized");
+  });
+
+  it("errors from different classes are not instanceof each other", () => {
+    const errors = createErrorClassesByName([
+      { code: "NOT_FOUND", message: "Not found", status: 404 },
+      { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
+    ]);
+
+    const notFound = new errors.NotFound();
+    assert.ok(notFound instanceof errors.NotFound);
+    assert.ok(!(notFound instanceof errors.Unauthorized));
+  });
+
+  it("throws at definition time when a definition uses {cause}", () => {
+    assert.throws(
+      () =>
+        createErrorClassesByName([
+          { code: "BAD", message: "Failed because {cause}", status: 500 },
+        ]),
+      {
         message:
           'Error definition "BAD" uses reserved parameter name "{cause}" in message template',
       },
     );
   });
+
+  it("throws for duplicate codes", () => {
+    assert.throws(
+      () =>
+        createErrorClassesByName([
+          { code: "NOT_FOUND", message: "a", status: 404 },
+          { code: "NOT_FOUND", message: "b", status: 404 },
+        ]),
+      { message: 'Duplicate error definition code "NOT_FOUND"' },
+    );
+  });
+
+  it("throws for codes with the same class name", () => {
+    assert.throws(
+      () =>
+        createErrorClassesByName([
+          { code: "HTTP_2", message: "a", status: 500 },
+          { code: "HTTP2", message: "b", status: 500 },
+        ]),
+      {
+        message:
+          'Error definition codes "HTTP_2" and "HTTP2" both have the class name "Http2"',
+      },
+    );
+  });
+});
+
+describe("createErrorCategory", () => {
+  it("creates an abstract class that extends Error", () => {
+    const ClientError = createErrorCategory({ name: "ClientError" });
+    assert.equal(ClientError.name, "ClientError");
+    assert.equal(Object.getPrototypeOf(ClientError), Error);
+    assert.throws(() => new ClientError("direct"), {
+      name: "TypeError",
+      message:
+        "ClientError is an abstract error category and cannot be instantiated",
+    });
+  });
+
+  it("can extend another category", () => {
+    const AppError = createErrorCategory({ name: "AppError" });
+    const ClientError = createErrorCategory({
+      name: "ClientError",
+      parent: AppError,
+    });
+    assert.equal(Object.getPrototypeOf(ClientError), AppError);
+  });
+
+  it("throws when the parent is not a category", () => {
+    assert.throws(
+      () => createErrorCategory({ name: "Bad", parent: TypeError }),
+      {
+        name: "TypeError",
+        message:
+          'Error category "Bad" must have another error category as its parent',
+      },
+    );
+  });
+});
+
+describe("registerMessages", () => {
+  function createErrors() {
+    return createErrorClassesByCode([
+      {
+        code: "NOT_FOUND",
+        message: "Resource {resource} not found",
+        status: 404,
+      },
+      { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
+    ]);
+  }
+
+  it("localizes messages with the stored params", () => {
+    const errors = createErrors();
+    registerMessages(errors, {
+      de: { NOT_FOUND: "Ressource {resource} nicht gefunden" },
+    });
+    const err = new errors.NOT_FOUND({ resource: "User" });
+    assert.equal(err.localize("de"), "Ressource User nicht gefunden");
+    assert.equal(formatMessage(err, "de"), "Ressource User nicht gefunden");
+    // The message itself is unchanged
+    assert.equal(err.message, "Resource User not found");
+  });
+
+  it("falls back from a region to its language", () => {
+    const errors = createErrors();
+    registerMessages(errors, { de: { UNAUTHORIZED: "Zugriff verweigert" } });
+    assert.equal(
+      new errors.UNAUTHORIZED().localize("de-CH"),
+      "Zugriff verweigert",
+    );
+  });
+
+  it("uses the first locale in a list that has a template", () => {
+    const errors = createErrors();
+    registerMessages(errors, {
+      de: { UNAUTHORIZED: "Zugriff verweigert" },
+      fr: { UNAUTHORIZED: "Accès refusé" },
+    });
+    const err = new errors.UNAUTHORIZED();
+    assert.equal(err.localize(["it", "fr-CA", "de"]), "Accès refusé");
+  });
+
+  it("falls back to the message for unknown locales and codes", () => {
+    const errors = createErrors();
+    registerMessages(errors, { de: { UNAUTHORIZED: "Zugriff verweigert" } });
+    assert.equal(new errors.UNAUTHORIZED().localize("ja"), "Access denied");
+    assert.equal(
+      new errors.NOT_FOUND({ resource: "User" }).localize("de"),
+      "Resource User not found",
+    );
+    assert.equal(formatMessage(new Error("plain"), "de"), "plain");
+  });
+
+  it("adds to catalogs registered earlier", () => {
+    const errors = createErrors();
+    registerMessages(errors, { de: { UNAUTHORIZED: "Zugriff verweigert" } });
+    registerMessages(errors, { fr: { UNAUTHORIZED: "Accès refusé" } });
+    const err = new errors.UNAUTHORIZED();
+    assert.equal(err.localize("de"), "Zugriff verweigert");
+    assert.equal(err.localize("fr"), "Accès refusé");
+  });
+
+  it("keeps catalogs separate between registries", () => {
+    const a = createErrors();
+    const b = createErrors();
+    registerMessages(a, { de: { UNAUTHORIZED: "Zugriff verweigert" } });
+    assert.equal(new b.UNAUTHORIZED().localize("de"), "Access denied");
+  });
+
+  it("compares nested paths when checking params", () => {
+    const errors = createErrorClassesByCode([
+      { code: "ERR", message: "User {user.id}", status: 400 },
+    ]);
+    assert.throws(
+      () => registerMessages(errors, { de: { ERR: "Benutzer {user.name}" } }),
+      /must use the same parameters/,
+    );
+    registerMessages(errors, { de: { ERR: "Benutzer {user.id}" } });
+    assert.equal(
+      new errors.ERR({ user: { id: 1 } }).localize("de"),
+      "Benutzer 1",
+    );
+  });
+
+  it("throws for unknown codes", () => {
+    assert.throws(
+      () => registerMessages(createErrors(), { de: { MISSING: "Fehlt" } }),
+      {
+        message:
+          'Message catalog "de" has a template for unknown error code "MISSING"',
+      },
+    );
+  });
+
+  it("throws when a template does not use the same params", () => {
+    for (const template of [
+      "Ressource nicht gefunden",
+      "Ressource {name} nicht gefunden",
+      "{resource} {extra}",
+    ]) {
+      assert.throws(
+        () => registerMessages(createErrors(), { de: { NOT_FOUND: template } }),
+        {
+          message:
+            'Message catalog "de" template for "NOT_FOUND" must use the same parameters as the default template',
+        },
+      );
+    }
+  });
+});
+
+describe("describeErrorClass", () => {
+  it("describes the code, name, status, template, params and metadata", () => {
+    const RateLimited = createErrorClass({
+      code: "RATE_LIMITED",
+      message:
+        "{user.id} can retry in {seconds, plural, one {# second} other {# seconds}}",
+      status: 429,
+      retryable: true,
+    });
+    assert.deepEqual(describeErrorClass(RateLimited), {
+      code: "RATE_LIMITED",
+      name: "RateLimited",
+      status: 429,
+      template:
+        "{user.id} can retry in {seconds, plural, one {# second} other {# seconds}}",
+      params: ["user.id", "seconds"],
+      metadata: { retryable: true },
+    });
+  });
+
+  it("throws for other classes", () => {
+    assert.throws(() => describeErrorClass(TypeError), {
+      name: "TypeError",
+      message:
+        "TypeError is not an error class created by custom-error-creator",
+    });
+  });
+});
+
+describe("serializeError", () => {
+  it("serializes plain errors with their code", () => {
+    const err = new Error("no such file");
+    err.code = "ENOENT";
+    assert.deepEqual(serializeError(err), {
+      name: "Error",
+      code: "ENOENT",
+      message: "no such file",
+    });
+  });
+
+  it("includes stacks when asked to", () => {
+    const err = new Error("boom");
+    assert.equal(serializeError(err, { stack: true }).stack, err.stack);
+  });
+
+  it("replaces params that JSON cannot represent with their text", () => {
+    const Err = createErrorClass({
+      code: "ERR",
+      message: "Bad {data} {n}",
+      status: 400,
+    });
+    const data = { id: 1 };
+    data.self = data;
+    const json = serializeError(new Err({ data, n: 10n, ok: true }));
+    assert.deepEqual(json.params, {
+      data: "{ id: 1, self: [Circular] }",
+      n: "10n",
+      ok: true,
+    });
+  });
+
+  it("returns non-error values unchanged", () => {
+    assert.equal(serializeError("boom"), "boom");
+    assert.equal(serializeError(undefined), undefined);
+  });
+});
+
+describe("serializeForLog", () => {
+  const NotFound = createErrorClass({
+    code: "NOT_FOUND",
+    message: "Resource {resource} not found",
+    status: 404,
+  });
+
+  it("serializes custom errors with their code, status, params and stack", () => {
+    const err = new NotFound({ resource: "User" });
+    assert.deepEqual(serializeForLog(err), {
+      type: "NotFound",
+      message: "Resource User not found",
+      stack: err.stack,
+      code: "NOT_FOUND",
+      status: 404,
+      params: { resource: "User" },
+    });
+  });
+
+  it("serializes the cause chain", () => {
+    const driverError = Object.assign(new Error("ECONNRESET"), {
+      code: "ECONNRESET",
+    });
+    const err = new NotFound({ resource: "User" }, { cause: driverError });
+    assert.deepEqual(serializeForLog(err, { stack: false }).cause, {
+      type: "Error",
+      message: "ECONNRESET",
+      code: "ECONNRESET",
+    });
+  });
+
+  it("inspects causes beyond depth", () => {
+    const root = new Error("root");
+    const middle = new Error("middle", { cause: root });
+    const err = new Error("top", { cause: middle });
+    const record = serializeForLog(err, { stack: false, depth: 1 });
+    assert.equal(record.cause.message, "middle");
+    assert.equal(record.cause.cause, "Error: root");
+  });
+
+  it("inspects params that are not primitives", () => {
+    const Invalid = createErrorClass({
+      code: "INVALID",
+      message: "{field} is invalid",
+      status: 400,
+    });
+    const params = { field: { name: "email", tags: new Set(["a"]) } };
+    params.field.self = params.field;
+    const record = serializeForLog(new Invalid(params));
+    assert.equal(
+      record.params.field,
+      "{ name: 'email', tags: Set(1) { 'a' }, self: [Circular] }",
+    );
+  });
+
+  it("truncates long string params", () => {
+    const record = serializeForLog(new NotFound({ resource: "x".repeat(300) }));
+    assert.equal(record.params.resource, `${"x".repeat(200)}…`);
+  });
+
+  it("keeps sensitive params redacted", () => {
+    const LoginFailed = createErrorClass({
+      code: "LOGIN_FAILED",
+      message: "Login failed for {user}",
+      status: 401,
+      sensitive: ["password"],
+    });
+    const err = new LoginFailed({ user: "ada", password: "hunter2" });
+    assert.deepEqual(serializeForLog(err).params, {
+      user: "ada",
+      password: "[REDACTED]",
+    });
+  });
+
+  it("serializes the errors of aggregate errors", () => {
+    const err = new AggregateError([new Error("a"), "b"], "both failed");
+    const record = serializeForLog(err, { stack: false });
+    assert.deepEqual(record.errors, [{ type: "Error", message: "a" }, "b"]);
+  });
+
+  it("marks circular causes", () => {
+    const err = new Error("loop");
+    err.cause = err;
+    assert.equal(serializeForLog(err).cause, "[Circular]");
+  });
+
+  it("returns non-error values unchanged", () => {
+    assert.equal(serializeForLog("boom"), "boom");
+  });
+});
+
+describe("fromJSON", () => {
+  const errors = createErrorClassesByCode([
+    {
+      code: "NOT_FOUND",
+      message: "Resource {resource} not found",
+      status: 404,
+    },
+    { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
+  ]);
+
+  function roundTrip(err) {
+    return fromJSON(JSON.parse(JSON.stringify(err)), errors);
+  }
+
+  it("revives an instance of the matching class", () => {
+    const err = roundTrip(new errors.NOT_FOUND({ resource: "User" }));
+    assert.ok(err instanceof errors.NOT_FOUND);
+    assert.equal(err.name, "NotFound");
+    assert.equal(err.code, "NOT_FOUND");
+    assert.equal(err.status, 404);
+    assert.equal(err.message, "Resource User not found");
+  });
+
+  it("keeps the original message verbatim", () => {
+    const err = roundTrip(new errors.NOT_FOUND("{thing} is gone"));
+    assert.equal(err.message, "{thing} is gone");
+    const escaped = roundTrip(new errors.NOT_FOUND("{{{{x}}}}"));
+    assert.equal(escaped.message, "{{x}}");
+  });
+
+  it("does not parse the payload message as a template", () => {
+    const message = "{a, plural, other {".repeat(10000);
+    const err = fromJSON({ code: "NOT_FOUND", message }, errors);
+    assert.equal(err.message, message);
+    assert.ok(err.stack.startsWith(`NotFound: ${message}`));
+    const escaped = fromJSON({ code: "NOT_FOUND", message: "{{x}}" }, errors);
+    assert.ok(escaped.stack.startsWith("NotFound: {{x}}\n"));
+  });
+
+  it("formats messages of errors constructed after a revived one", () => {
+    const Broken = class extends errors.NOT_FOUND {
+      constructor() {
+        throw new Error("broken");
+      }
+    };
+    assert.throws(
+      () => fromJSON({ code: "NOT_FOUND", message: "x" }, [Broken]),
+      { message: "broken" },
+    );
+    const err = new errors.NOT_FOUND({ resource: "User" });
+    assert.equal(err.message, "Resource User not found");
+  });
+
+  it("keeps params when serialized again", () => {
+    const err = roundTrip(new errors.NOT_FOUND({ resource: "User" }));
+    assert.deepEqual(err.toJSON().params, { resource: "User" });
+  });
+
+  it("keeps the status from the payload", () => {
+    const err = fromJSON(
+      { code: "NOT_FOUND", status: 410, message: "Gone" },
+      errors,
+    );
+    assert.equal(err.status, 410);
+  });
+
+  it("revives the cause chain", () => {
+    const root = new TypeError("bad type");
+    const middle = new errors.UNAUTHORIZED({ cause: root });
+    const err = roundTrip(
+      new errors.NOT_FOUND({ resource: "User" }, { cause: middle }),
+    );
+    assert.ok(err.cause instanceof errors.UNAUTHORIZED);
+    assert.ok(err.cause.cause instanceof Error);
+    assert.equal(err.cause.cause.name, "TypeError");
+    assert.equal(err.cause.cause.message, "bad type");
+  });
+
+  it("revives non-error causes as-is", () => {
+    const err = roundTrip(
+      new errors.UNAUTHORIZED("Nope", { cause: "expired" }),
+    );
+    assert.equal(err.cause, "expired");
+  });
+
+  it("revives AggregateErrors with their errors", () => {
+    const cause = new AggregateError(
+      [new errors.UNAUTHORIZED(), new Error("plain")],
+      "Several",
+    );
+    const err = roundTrip(
+      new errors.NOT_FOUND({ resource: "User" }, { cause }),
+    );
+    assert.ok(err.cause instanceof AggregateError);
+    assert.ok(err.cause.errors[0] instanceof errors.UNAUTHORIZED);
+    assert.equal(err.cause.errors[1].message, "plain");
+  });
+
+  it("falls back to a generic error for unknown codes", () => {
+    const err = fromJSON(
+      {
+        name: "Conflict",
+        code: "CONFLICT",
+        status: 409,
+        message: "Already exists",
+        params: { id: 1 },
+      },
+      errors,
+    );
+    assert.equal(Object.getPrototypeOf(err), Error.prototype);
+    assert.equal(err.name, "Conflict");
+    assert.equal(err.code, "CONFLICT");
+    assert.equal(err.status, 409);
+    assert.ok(isCustomError(err));
+    assert.equal(err.toJSON, undefined);
+    assert.deepEqual(serializeError(err).params, { id: 1 });
+  });
+
+  it("restores the stack when one was serialized", () => {
+    const original = new errors.UNAUTHORIZED();
+    const err = fromJSON(original.toJSON({ stack: true }), errors);
+    assert.equal(err.stack, original.stack);
+  });
+
+  it("works with registries keyed by name", () => {
+    const byName = createErrorClassesByName([
+      { code: "NOT_FOUND", message: "Not found", status: 404 },
+    ]);
+    const err = fromJSON({ code: "NOT_FOUND", message: "Not found" }, byName);
+    assert.ok(err instanceof byName.NotFound);
+  });
+
+  it("throws for payloads that are not serialized errors", () => {
+    assert.throws(() => fromJSON("boom", errors), TypeError);
+    assert.throws(() => fromJSON({ code: "NOT_FOUND" }, errors), TypeError);
+  });
+});
+
+describe("toProblemDetails", () => {
+  const NotFound = createErrorClass({
+    code: "NOT_FOUND",
+    message: "Resource {resource} not found",
+    status: 404,
+  });
+
+  it("builds a Problem Details document from a custom error", () => {
+    const err = new NotFound({ resource: "User" });
+    assert.deepEqual(toProblemDetails(err), {
+      resource: "User",
+      type: "not-found",
+      title: "Resource {resource} not found",
+      status: 404,
+      detail: "Resource User not found",
+      code: "NOT_FOUND",
+    });
+  });
+
+  it("prefixes the type with baseURI and sets instance", () => {
+    const err = new NotFound({ resource: "User" });
+    const problem = toProblemDetails(err, {
+      baseURI: "https://example.com/problems/",
+      instance: "/users/1",
+    });
+    assert.equal(problem.type, "https://example.com/problems/not-found");
+    assert.equal(problem.instance, "/users/1");
+  });
+
+  it("keeps the title stable when a custom message is used", () => {
+    const problem = toProblemDetails(new NotFound("User 1 is gone"));
+    assert.equal(problem.title, "Resource {resource} not found");
+    assert.equal(problem.detail, "User 1 is gone");
+  });
+
+  it("shows escaped braces in the title once", () => {
+    const Err = createErrorClass({
+      code: "UNEXPECTED",
+      message:
+        'Expected {{ "a": {n} }} in {n, plural, one {# item} other {# items}}',
+      status: 400,
+    });
+    const problem = toProblemDetails(new Err({ n: 1 }));
+    assert.equal(
+      problem.title,
+      'Expected { "a": {n} } in {n, plural, one {# item} other {# items}}',
+    );
+    assert.equal(problem.detail, 'Expected { "a": 1 } in 1 item');
+  });
+
+  it("does not let params override standard members", () => {
+    const Err = createErrorClass({
+      code: "CONFLICT",
+      message: "{type} conflicts with {title}",
+      status: 409,
+    });
+    const problem = toProblemDetails(new Err({ type: "a", title: "b" }));
+    assert.equal(problem.type, "conflict");
+    assert.equal(problem.title, "{type} conflicts with {title}");
+  });
+
+  it("returns a generic 500 problem for other errors", () => {
+    assert.deepEqual(toProblemDetails(new Error("secret details")), {
+      type: "about:blank",
+      title: "Internal Server Error",
+      status: 500,
+    });
+  });
+});
+
+describe("toOpenAPI", () => {
+  const errors = createErrorClassesByCode([
+    {
+      code: "NOT_FOUND",
+      message: "Resource {resource} not found",
+      status: 404,
+    },
+    { code: "GONE", message: "{item.id} was deleted", status: 410 },
+    { code: "USER_GONE", message: "User {id} was deleted", status: 410 },
+    { code: "DATABASE_DOWN", message: "Database is down", status: 503 },
+    { code: "SHUTDOWN", message: "Shutting down", status: 1, http: false },
+  ]);
+
+  it("describes the JSON body of each class", () => {
+    const { schemas } = toOpenAPI(errors).components;
+    assert.deepEqual(schemas.NotFound, {
+      type: "object",
+      required: ["name", "code", "status", "message"],
+      properties: {
+        name: { type: "string", enum: ["NotFound"] },
+        code: { type: "string", enum: ["NOT_FOUND"] },
+        status: { type: "integer", enum: [404] },
+        message: { type: "string", example: "Resource {resource} not found" },
+        params: {
+          type: "object",
+          properties: { resource: {} },
+          required: ["resource"],
+        },
+      },
+    });
+    assert.deepEqual(schemas.DatabaseDown.properties.params, {
+      type: "object",
+      properties: {},
+    });
+  });
+
+  it("derives params schemas from nested paths, plurals and lists", () => {
+    const Shipped = createErrorClass({
+      code: "SHIPPED",
+      message:
+        "{order.id} shipped {count, plural, one {# item} other {# items}} to {names:list}",
+      status: 409,
+    });
+    const { schemas } = toOpenAPI({ Shipped }).components;
+    assert.deepEqual(schemas.Shipped.properties.params, {
+      type: "object",
+      properties: {
+        order: {
+          type: "object",
+          properties: { id: {} },
+          required: ["id"],
+        },
+        count: { type: "number" },
+        names: { type: "array", items: {} },
+      },
+      required: ["order", "count", "names"],
+    });
+  });
+
+  it("adds a response for each class", () => {
+    const { responses } = toOpenAPI(errors).components;
+    assert.deepEqual(responses.NotFound, {
+      description: "Resource {resource} not found",
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/NotFound" },
+        },
+      },
+    });
+  });
+
+  it("groups responses by status and status range", () => {
+    const { responses } = toOpenAPI(errors).components;
+    assert.deepEqual(responses["404"].content["application/json"].schema, {
+      $ref: "#/components/schemas/NotFound",
+    });
+    assert.deepEqual(responses["410"], {
+      description: "GONE, USER_GONE",
+      content: {
+        "application/json": {
+          schema: {
+            oneOf: [
+              { $ref: "#/components/schemas/Gone" },
+              { $ref: "#/components/schemas/UserGone" },
+            ],
+            discriminator: {
+              propertyName: "code",
+              mapping: {
+                GONE: "#/components/schemas/Gone",
+                USER_GONE: "#/components/schemas/UserGone",
+              },
+            },
+          },
+        },
+      },
+    });
+    assert.equal(responses["4XX"].description, "NOT_FOUND, GONE, USER_GONE");
+    assert.equal(responses["5XX"].description, "DATABASE_DOWN");
+  });
+
+  it("leaves out classes without an HTTP status", () => {
+    const { schemas, responses } = toOpenAPI(errors).components;
+    assert.equal(schemas.Shutdown, undefined);
+    assert.equal(responses["1"], undefined);
+  });
+
+  it("describes Problem Details bodies", () => {
+    const { schemas, responses } = toOpenAPI(errors, {
+      format: "problem",
+      baseURI: "https://example.com/errors/",
+    }).components;
+    assert.deepEqual(schemas.NotFound, {
+      type: "object",
+      required: ["type", "title", "status", "code"],
+      properties: {
+        resource: {},
+        type: {
+          type: "string",
+          enum: ["https://example.com/errors/not-found"],
+        },
+        title: { type: "string", enum: ["Resource {resource} not found"] },
+        status: { type: "integer", enum: [404] },
+        detail: { type: "string" },
+        instance: { type: "string" },
+        code: { type: "string", enum: ["NOT_FOUND"] },
+      },
+    });
+    assert.ok("application/problem+json" in responses.NotFound.content);
+  });
+
+  it("uses the same title as toProblemDetails", () => {
+    const Err = createErrorClass({
+      code: "UNEXPECTED",
+      message: 'Expected {{ "a": {n} }}',
+      status: 400,
+    });
+    const { schemas } = toOpenAPI([Err], { format: "problem" }).components;
+    assert.deepEqual(schemas.Unexpected.properties.title, {
+      type: "string",
+      enum: [toProblemDetails(new Err({ n: 1 })).title],
+    });
+    assert.deepEqual(schemas.Unexpected.properties.title.enum, [
+      'Expected { "a": {n} }',
+    ]);
+  });
+
+  it("prefixes component names and can leave out groups", () => {
+    const { schemas, responses } = toOpenAPI(errors, {
+      prefix: "Users",
+      groups: false,
+    }).components;
+    assert.deepEqual(Object.keys(schemas), [
+      "UsersNotFound",
+      "UsersGone",
+      "UsersUserGone",
+      "UsersDatabaseDown",
+    ]);
+    assert.deepEqual(Object.keys(responses), Object.keys(schemas));
+    assert.deepEqual(responses.UsersNotFound.content["application/json"], {
+      schema: { $ref: "#/components/schemas/UsersNotFound" },
+    });
+  });
+});
+
+describe("fromProblemDetails", () => {
+  const errors = createErrorClassesByCode([
+    {
+      code: "NOT_FOUND",
+      message: "Resource {resource} not found",
+      status: 404,
+    },
+    { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
+  ]);
+
+  it("round-trips through toProblemDetails", () => {
+    const problem = toProblemDetails(
+      new errors.NOT_FOUND({ resource: "User" }),
+    );
+    const err = fromProblemDetails(JSON.parse(JSON.stringify(problem)), errors);
+    assert.ok(err instanceof errors.NOT_FOUND);
+    assert.equal(err.message, "Resource User not found");
+    assert.equal(err.status, 404);
+    assert.deepEqual(err.toJSON().params, { resource: "User" });
+  });
+
+  it("derives the code from the type when there is no code member", () => {
+    const err = fromProblemDetails(
+      {
+        type: "https://example.com/problems/unauthorized",
+        title: "Access denied",
+        status: 401,
+      },
+      errors,
+      { baseURI: "https://example.com/problems/" },
+    );
+    assert.ok(err instanceof errors.UNAUTHORIZED);
+    assert.equal(err.message, "Access denied");
+  });
+
+  it("falls back to a generic error for unknown types", () => {
+    const err = fromProblemDetails(
+      { type: "about:blank", title: "Bad Gateway", status: 502 },
+      errors,
+    );
+    assert.equal(Object.getPrototypeOf(err), Error.prototype);
+    assert.equal(err.message, "Bad Gateway");
+    assert.equal(err.status, 502);
+  });
+
+  it("throws for non-object input", () => {
+    assert.throws(() => fromProblemDetails(null, errors), TypeError);
+  });
+});
+
+describe("toGrpcStatus", () => {
+  const NotFound = createErrorClass({
+    code: "NOT_FOUND",
+    message: "Resource {resource} not found",
+    status: 404,
+  });
+
+  it("converts a custom error to a gRPC status", () => {
+    assert.deepEqual(toGrpcStatus(new NotFound({ resource: "User" })), {
+      code: 5,
+      details: "Resource User not found",
+      metadata: {
+        "error-code": "NOT_FOUND",
+        "error-params": '{"resource":"User"}',
+      },
+    });
+  });
+
+  it("sets entries on a metadata object with a set() method", () => {
+    const entries = new Map();
+    const metadata = { set: (key, value) => entries.set(key, value) };
+    const status = toGrpcStatus(new NotFound({ resource: "User" }), {
+      metadata,
+    });
+    assert.equal(status.metadata, metadata);
+    assert.equal(entries.get("error-code"), "NOT_FOUND");
+  });
+
+  it("sends params that JSON cannot represent as text", () => {
+    const resource = { id: 1 };
+    resource.self = resource;
+    const status = toGrpcStatus(new NotFound({ resource }));
+    assert.equal(
+      status.metadata["error-params"],
+      '{"resource":"{ id: 1, self: [Circular] }"}',
+    );
+  });
+
+  it("hides the message of other errors", () => {
+    assert.deepEqual(toGrpcStatus(new Error("secret")), {
+      code: 13,
+      details: "Internal error",
+      metadata: {},
+    });
+  });
 });
 
-describe("createErrorClassesByName", () => {
-  it("creates multiple error classes keyed by PascalCase name", () => {
-    const errors = createErrorClassesByName([
-      { code: "NOT_FOUND", message: "Not found", status: 404 },
-      { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
-    ]);
-    assert.ok(errors.NotFound);
-    assert.ok(errors.Unauthorized);
+describe("fromGrpcStatus", () => {
+  const NotFound = createErrorClass({
+    code: "NOT_FOUND",
+    message: "Resource {resource} not found",
+    status: 404,
   });
+  const Invalid = createErrorClass({
+    code: "INVALID",
+    message: "Invalid",
+    status: 422,
+  });
+  const registry = { NotFound, Invalid };
 
-  it("each class works independently", () => {
-    const errors = createErrorClassesByName([
+  it("round-trips a custom error", () => {
+    const err = fromGrpcStatus(
+      toGrpcStatus(new NotFound({ resource: "User" })),
+      registry,
+    );
+    assert.ok(err instanceof NotFound);
+    assert.equal(err.message, "Resource User not found");
+    assert.deepEqual(err.params, { resource: "User" });
+  });
+
+  it("keeps the status of the class", () => {
+    const err = fromGrpcStatus(toGrpcStatus(new Invalid()), registry);
+    assert.equal(err.status, 422);
+  });
+
+  it("reads entries from a metadata object with a get() method", () => {
+    const entries = { "error-code": ["NOT_FOUND"] };
+    const err = fromGrpcStatus(
       {
-        code: "NOT_FOUND",
-        message: "Resource {resource} not found",
-        status: 404,
+        code: 5,
+        details: "gone",
+        metadata: { get: (key) => entries[key] ?? [] },
       },
-      { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
-    ]);
+      registry,
+    );
+    assert.ok(err instanceof NotFound);
+    assert.equal(err.message, "gone");
+  });
 
-    const notFound = new errors.NotFound({ resource: "User" });
-    assert.equal(notFound.message, "Resource User not found");
-    assert.equal(notFound.code, "NOT_FOUND");
-    assert.equal(notFound.status, 404);
-    assert.equal(notFound.name, "NotFound");
+  it("revives unknown codes as generic errors", () => {
+    const err = fromGrpcStatus(
+      {
+        code: 8,
+        details: "Slow down",
+        metadata: { "error-code": "RATE_LIMITED" },
+      },
+      registry,
+    );
+    assert.ok(isCustomError(err));
+    assert.equal(err.name, "RateLimited");
+    assert.equal(err.status, 429);
+    assert.equal(err.grpcCode, 8);
+  });
 
-    const unauthorized = new errors.Unauthorized();
-    assert.equal(unauthorized.message, "Access denied");
-    assert.equal(unauthorized.code, "UNAUTHORIZED");
-    assert.equal(unauthorized.status, 401);
-    assert.equal(unauthorized.name, "Unauthorized");
+  it("ignores malformed params", () => {
+    const err = fromGrpcStatus(
+      {
+        code: 5,
+        details: "gone",
+        metadata: { "error-code": "NOT_FOUND", "error-params": "{" },
+      },
+      registry,
+    );
+    assert.deepEqual(err.params, {});
   });
+});
 
-  it("errors from different classes are not instanceof each other", () => {
-    const errors = createErrorClassesByName([
-      { code: "NOT_FOUND", message: "Not found", status: 404 },
-      { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
-    ]);
+describe("toJsonRpcError", () => {
+  const Invalid = createErrorClass({
+    code: "INVALID_FIELD",
+    message: "Invalid field {field}",
+    status: 400,
+  });
 
-    const notFound = new errors.NotFound();
-    assert.ok(notFound instanceof errors.NotFound);
-    assert.ok(!(notFound instanceof errors.Unauthorized));
+  it("converts a custom error to a JSON-RPC error object", () => {
+    assert.deepEqual(toJsonRpcError(new Invalid({ field: "email" })), {
+      code: -32602,
+      message: "Invalid field email",
+      data: { code: "INVALID_FIELD", params: { field: "email" } },
+    });
   });
 
-  it("throws at definition time when a definition uses {cause}", () => {
-    assert.throws(
-      () =>
-        createErrorClassesByName([
-          { code: "BAD", message: "Failed because {cause}", status: 500 },
-        ]),
+  it("hides the message of other errors", () => {
+    assert.deepEqual(toJsonRpcError(new Error("secret")), {
+      code: -32603,
+      message: "Internal error",
+    });
+  });
+});
+
+describe("fromJsonRpcError", () => {
+  const Invalid = createErrorClass({
+    code: "INVALID_FIELD",
+    message: "Invalid field {field}",
+    status: 422,
+  });
+
+  it("round-trips a custom error", () => {
+    const err = fromJsonRpcError(
+      toJsonRpcError(new Invalid({ field: "email" })),
       {
-        message:
-          'Error definition "BAD" uses reserved parameter name "{cause}" in message template',
+        Invalid,
       },
     );
+    assert.ok(err instanceof Invalid);
+    assert.equal(err.status, 422);
+    assert.deepEqual(err.params, { field: "email" });
+  });
+
+  it("revives errors without a known code as generic errors", () => {
+    const err = fromJsonRpcError(
+      { code: -32601, message: "Method not found" },
+      { Invalid },
+    );
+    assert.equal(err.name, "Error");
+    assert.equal(err.message, "Method not found");
+    assert.equal(err.jsonRpcCode, -32601);
+  });
+
+  it("throws for non-objects", () => {
+    assert.throws(() => fromJsonRpcError(null, {}), {
+      name: "TypeError",
+      message: "Expected a JSON-RPC error object",
+    });
   });
 });
 
@@ -930,3 +3254,522 @@ describe("isCustomError", () => {
     assert.ok(isCustomError(err));
   });
 });
+
+describe("cause chain helpers", () => {
+  const errors = createErrorClassesByCode([
+    {
+      code: "NOT_FOUND",
+      message: "Resource {resource} not found",
+      status: 404,
+    },
+    { code: "DATABASE_ERROR", message: "Database error", status: 500 },
+    { code: "REPOSITORY_ERROR", message: "Repository error", status: 500 },
+  ]);
+
+  function createChain() {
+    const driver = new Error("connection reset");
+    const database = new errors.DATABASE_ERROR({ cause: driver });
+    const repository = new errors.REPOSITORY_ERROR({ cause: database });
+    return { driver, database, repository };
+  }
+
+  describe("getCauseChain", () => {
+    it("lists the error and its causes in order", () => {
+      const { driver, database, repository } = createChain();
+      assert.deepEqual(getCauseChain(repository), [
+        repository,
+        database,
+        driver,
+      ]);
+    });
+
+    it("includes the members of AggregateErrors, depth first", () => {
+      const { driver, database } = createChain();
+      const notFound = new errors.NOT_FOUND({ resource: "User" });
+      const aggregate = new AggregateError([database, notFound], "Many failed");
+      assert.deepEqual(getCauseChain(aggregate), [
+        aggregate,
+        database,
+        driver,
+        notFound,
+      ]);
+    });
+
+    it("includes non-error causes", () => {
+      const err = new Error("outer", { cause: "timeout" });
+      assert.deepEqual(getCauseChain(err), [err, "timeout"]);
+    });
+
+    it("stops at cycles", () => {
+      const a = new Error("a");
+      const b = new Error("b", { cause: a });
+      a.cause = b;
+      assert.deepEqual(getCauseChain(a), [a, b]);
+    });
+  });
+
+  describe("getRootCause", () => {
+    it("returns the last cause", () => {
+      const { driver, repository } = createChain();
+      assert.equal(getRootCause(repository), driver);
+    });
+
+    it("returns the error itself when there is no cause", () => {
+      const err = new Error("alone");
+      assert.equal(getRootCause(err), err);
+    });
+
+    it("stops at cycles", () => {
+      const a = new Error("a");
+      const b = new Error("b", { cause: a });
+      a.cause = b;
+      assert.equal(getRootCause(a), b);
+    });
+  });
+
+  describe("findCause", () => {
+    it("finds a cause by class", () => {
+      const { database, repository } = createChain();
+      assert.equal(findCause(repository, errors.DATABASE_ERROR), database);
+    });
+
+    it("finds a cause by code", () => {
+      const { database, repository } = createChain();
+      assert.equal(findCause(repository, "DATABASE_ERROR"), database);
+    });
+
+    it("matches the error itself", () => {
+      const { repository } = createChain();
+      assert.equal(findCause(repository, errors.REPOSITORY_ERROR), repository);
+    });
+
+    it("finds causes inside AggregateErrors", () => {
+      const notFound = new errors.NOT_FOUND({ resource: "User" });
+      const err = new errors.REPOSITORY_ERROR({
+        cause: new AggregateError([new Error("other"), notFound]),
+      });
+      assert.equal(findCause(err, errors.NOT_FOUND), notFound);
+    });
+
+    it("returns undefined when nothing matches", () => {
+      const { repository } = createChain();
+      assert.equal(findCause(repository, errors.NOT_FOUND), undefined);
+      assert.equal(findCause(repository, "NOT_FOUND"), undefined);
+    });
+
+    it("finds errors of a category", () => {
+      const DatabaseError = createErrorCategory({ name: "DatabaseError" });
+      const Timeout = createErrorClass({
+        code: "TIMEOUT",
+        message: "Timed out",
+        status: 504,
+        parent: DatabaseError,
+      });
+      const timeout = new Timeout();
+      const err = new errors.REPOSITORY_ERROR({ cause: timeout });
+      assert.equal(findCause(err, DatabaseError), timeout);
+    });
+  });
+
+  describe("hasCode", () => {
+    it("returns whether an error in the chain has the code", () => {
+      const { repository } = createChain();
+      assert.equal(hasCode(repository, "DATABASE_ERROR"), true);
+      assert.equal(hasCode(repository, "REPOSITORY_ERROR"), true);
+      assert.equal(hasCode(repository, "NOT_FOUND"), false);
+    });
+
+    it("handles values that are not errors", () => {
+      assert.equal(hasCode(undefined, "NOT_FOUND"), false);
+      assert.equal(hasCode("NOT_FOUND", "NOT_FOUND"), false);
+    });
+  });
+});
+
+describe("matchError", () => {
+  const errors = createErrorClassesByCode([
+    {
+      code: "NOT_FOUND",
+      message: "Resource {resource} not found",
+      status: 404,
+    },
+    { code: "UNAUTHORIZED", message: "Access denied", status: 401 },
+  ]);
+
+  it("calls the handler for the class of the error", () => {
+    const result = matchError(
+      new errors.NOT_FOUND({ resource: "User" }),
+      errors,
+      {
+        NOT_FOUND: (err) => `missing ${err.params.resource}`,
+        UNAUTHORIZED: () => "denied",
+      },
+    );
+    assert.equal(result, "missing User");
+  });
+
+  it("works with registries keyed by class name", () => {
+    const byName = createErrorClassesByName([
+      { code: "NOT_FOUND", message: "Not found", status: 404 },
+    ]);
+    const result = matchError(new byName.NotFound(), byName, {
+      NotFound: (err) => err.status,
+    });
+    assert.equal(result, 404);
+  });
+
+  it("calls the default handler for errors without a handler", () => {
+    const err = new errors.UNAUTHORIZED();
+    let received;
+    const result = matchError(err, errors, {
+      NOT_FOUND: () => "missing",
+      _: (e) => {
+        received = e;
+        return "default";
+      },
+    });
+    assert.equal(result, "default");
+    assert.equal(received, err);
+  });
+
+  it("calls the default handler for unknown errors", () => {
+    const result = matchError(new Error("other"), errors, {
+      _: () => "default",
+    });
+    assert.equal(result, "default");
+  });
+
+  it("throws errors that have no handler", () => {
+    const err = new Error("other");
+    assert.throws(
+      () =>
+        matchError(err, errors, {
+          NOT_FOUND: () => "missing",
+          UNAUTHORIZED: () => "denied",
+        }),
+      (thrown) => thrown === err,
+    );
+  });
+
+  it("matches revived errors", () => {
+    const json = JSON.parse(JSON.stringify(new errors.UNAUTHORIZED()));
+    const result = matchError(fromJSON(json, errors), errors, {
+      NOT_FOUND: () => "missing",
+      UNAUTHORIZED: () => "denied",
+    });
+    assert.equal(result, "denied");
+  });
+});
+
+describe("tryCatch", () => {
+  const errors = createErrorClassesByCode([
+    {
+      code: "NOT_FOUND",
+      message: "Resource {resource} not found",
+      status: 404,
+    },
+  ]);
+  const Unexpected = createErrorClass({
+    code: "UNEXPECTED",
+    message: "Something went wrong",
+    status: 500,
+  });
+
+  it("returns the value of the function", () => {
+    assert.deepEqual(
+      tryCatch(() => 42, errors),
+      { ok: true, value: 42 },
+    );
+  });
+
+  it("returns errors from the registry", () => {
+    const err = new errors.NOT_FOUND({ resource: "User" });
+    const result = tryCatch(() => {
+      throw err;
+    }, errors);
+    assert.deepEqual(result, { ok: false, error: err });
+  });
+
+  it("rethrows other errors", () => {
+    const err = new TypeError("bug");
+    assert.throws(
+      () =>
+        tryCatch(() => {
+          throw err;
+        }, errors),
+      (thrown) => thrown === err,
+    );
+  });
+
+  it("rethrows custom errors from other registries", () => {
+    assert.throws(
+      () =>
+        tryCatch(() => {
+          throw new Unexpected();
+        }, errors),
+      Unexpected,
+    );
+  });
+
+  it("wraps other errors in the fallback class", () => {
+    const err = new TypeError("bug");
+    const result = tryCatch(
+      () => {
+        throw err;
+      },
+      errors,
+      { fallback: Unexpected },
+    );
+    assert.equal(result.ok, false);
+    assert.ok(result.error instanceof Unexpected);
+    assert.equal(result.error.cause, err);
+  });
+
+  it("rethrows errors from other registries with the same code", () => {
+    const OtherNotFound = createErrorClass({
+      code: "NOT_FOUND",
+      message: "Resource {resource} not found",
+      status: 404,
+    });
+    assert.throws(
+      () =>
+        tryCatch(() => {
+          throw new OtherNotFound({ resource: "User" });
+        }, errors),
+      OtherNotFound,
+    );
+  });
+
+  it("keeps the cause with a fallback class that has template params", () => {
+    const Wrapped = createErrorClass({
+      code: "WRAPPED",
+      message: "Wrapped {what}",
+      status: 500,
+    });
+    const err = new TypeError("bug");
+    const result = tryCatch(
+      () => {
+        throw err;
+      },
+      errors,
+      { fallback: Wrapped },
+    );
+    assert.ok(result.error instanceof Wrapped);
+    assert.equal(result.error.cause, err);
+    assert.deepEqual(result.error.params, {});
+  });
+});
+
+describe("tryCatchAsync", () => {
+  const errors = createErrorClassesByCode([
+    {
+      code: "NOT_FOUND",
+      message: "Resource {resource} not found",
+      status: 404,
+    },
+  ]);
+  const Unexpected = createErrorClass({
+    code: "UNEXPECTED",
+    message: "Something went wrong",
+    status: 500,
+  });
+
+  it("returns the resolved value", async () => {
+    assert.deepEqual(await tryCatchAsync(async () => 42, errors), {
+      ok: true,
+      value: 42,
+    });
+  });
+
+  it("returns rejections with errors from the registry", async () => {
+    const err = new errors.NOT_FOUND({ resource: "User" });
+    assert.deepEqual(await tryCatchAsync(() => Promise.reject(err), errors), {
+      ok: false,
+      error: err,
+    });
+  });
+
+  it("returns errors thrown synchronously", async () => {
+    const err = new errors.NOT_FOUND({ resource: "User" });
+    const result = await tryCatchAsync(() => {
+      throw err;
+    }, errors);
+    assert.equal(result.error, err);
+  });
+
+  it("rejects with other errors", async () => {
+    const err = new TypeError("bug");
+    await assert.rejects(
+      tryCatchAsync(async () => {
+        throw err;
+      }, errors),
+      (thrown) => thrown === err,
+    );
+  });
+
+  it("wraps other errors in the fallback class", async () => {
+    const result = await tryCatchAsync(
+      async () => {
+        throw new TypeError("bug");
+      },
+      errors,
+      { fallback: Unexpected },
+    );
+    assert.ok(result.error instanceof Unexpected);
+  });
+});
+
+describe("wrapErrors", () => {
+  const errors = createErrorClassesByCode([
+    { code: "NOT_FOUND", message: "File {path} not found", status: 404 },
+    { code: "DATABASE_ERROR", message: "Database error", status: 503 },
+    { code: "INVALID", message: "Invalid {field}", status: 400 },
+  ]);
+  class DriverError extends Error {}
+
+  function fsError(path) {
+    return Object.assign(new Error(`ENOENT: ${path}`), {
+      code: "ENOENT",
+      path,
+    });
+  }
+
+  const rules = [
+    {
+      match: "ENOENT",
+      to: errors.NOT_FOUND,
+      params: (err) => ({ path: err.path }),
+    },
+    { match: DriverError, to: errors.DATABASE_ERROR },
+    {
+      match: (err) => err instanceof RangeError,
+      to: errors.INVALID,
+      params: () => ({ field: "range" }),
+    },
+  ];
+
+  it("converts errors matched by code", () => {
+    const original = fsError("/etc/app.json");
+    const read = wrapErrors(() => {
+      throw original;
+    }, rules);
+    assert.throws(read, (err) => {
+      assert.ok(err instanceof errors.NOT_FOUND);
+      assert.equal(err.message, "File /etc/app.json not found");
+      assert.equal(err.cause, original);
+      return true;
+    });
+  });
+
+  it("converts errors matched by class", () => {
+    const query = wrapErrors(() => {
+      throw new DriverError("connection reset");
+    }, rules);
+    assert.throws(query, errors.DATABASE_ERROR);
+  });
+
+  it("converts errors matched by a predicate", () => {
+    const parse = wrapErrors(() => {
+      throw new RangeError("too big");
+    }, rules);
+    assert.throws(parse, { code: "INVALID", message: "Invalid range" });
+  });
+
+  it("uses the first matching rule", () => {
+    const query = wrapErrors(() => {
+      throw new DriverError("x");
+    }, [
+      { match: Error, to: errors.INVALID, params: () => ({ field: "x" }) },
+      ...rules,
+    ]);
+    assert.throws(query, errors.INVALID);
+  });
+
+  it("rethrows errors that match no rule", () => {
+    const original = new TypeError("bug");
+    const fn = wrapErrors(() => {
+      throw original;
+    }, rules);
+    assert.throws(fn, (err) => err === original);
+  });
+
+  it("converts rejections of async functions", async () => {
+    const read = wrapErrors(async (path) => {
+      throw fsError(path);
+    }, rules);
+    await assert.rejects(read("/tmp/x"), {
+      code: "NOT_FOUND",
+      message: "File /tmp/x not found",
+    });
+  });
+
+  it("passes arguments, this and return values through", async () => {
+    const obj = {
+      factor: 2,
+      double: wrapErrors(function (n) {
+        return n * this.factor;
+      }, rules),
+      later: wrapErrors(async (n) => n, rules),
+    };
+    assert.equal(obj.double(21), 42);
+    assert.equal(await obj.later(7), 7);
+  });
+});
+
+describe("Class.wrap()", () => {
+  const NotFound = createErrorClass({
+    code: "NOT_FOUND",
+    message: "File {path} not found",
+    status: 404,
+  });
+  const Unexpected = createErrorClass({
+    code: "UNEXPECTED",
+    message: "Something went wrong",
+    status: 500,
+  });
+
+  it("wraps errors not created by this module", () => {
+    const original = new TypeError("bug");
+    const fn = Unexpected.wrap(() => {
+      throw original;
+    });
+    assert.throws(
+      fn,
+      (err) => err instanceof Unexpected && err.cause === original,
+    );
+  });
+
+  it("leaves custom errors alone", () => {
+    const inner = new NotFound({ path: "/x" });
+    const fn = Unexpected.wrap(() => {
+      throw inner;
+    });
+    assert.throws(fn, (err) => err === inner);
+  });
+
+  it("accepts match and params options", async () => {
+    const read = NotFound.wrap(
+      async (path) => {
+        throw Object.assign(new Error("ENOENT"), { code: "ENOENT", path });
+      },
+      { match: "ENOENT", params: (err) => ({ path: err.path }) },
+    );
+    await assert.rejects(read("/etc/x"), { message: "File /etc/x not found" });
+    const other = NotFound.wrap(
+      () => {
+        throw new Error("EACCES");
+      },
+      { match: "ENOENT", params: (err) => ({ path: err.path }) },
+    );
+    assert.throws(other, { message: "EACCES" });
+  });
+
+  it("is not defined on aggregate error classes", () => {
+    const Bulk = createAggregateErrorClass({
+      code: "BULK",
+      message: "Bulk failed",
+      status: 500,
+    });
+    assert.equal(Bulk.wrap, undefined);
+  });
+});